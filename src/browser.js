@@ -44,7 +44,21 @@
 
 
 // Internal Includes
-const { superglobal } = require("./universal.js");
+const {
+	superglobal,
+	environmentTypes,
+	resolveEnvironmentType,
+	EnvironmentValidationError,
+	bindEnvironmentSchema,
+	parseEnvironmentFile,
+	expandEnvironmentValue,
+	CachePolicy,
+	MigrationError,
+	resolveSchema,
+	migrateValue,
+	addSubscriber,
+	createReference,
+} = require("./universal.js");
 
 // External Includes
 //...
@@ -60,17 +74,393 @@ const { superglobal } = require("./universal.js");
  * @description - Declares a place for us to store environment variables
  *   independant of the targeted domain. This way in such cases as the browser
  *   where we don't have environment variables, we can keep the same archetecture.
+ *   It's filled by loadEnvironment and loadEnvironmentFile, and in Deno, with
+ *   the real environment when we're allowed to read it.
  */
 const env = {};
 
+if (superglobal.Deno != null && superglobal.Deno.env != null) {
+	try { Object.assign(env, superglobal.Deno.env.toObject()); }
+	catch (err) { /* no --allow-env, so it stays empty */ }
+}
+
+/**
+ * @constant
+ * @package
+ * @description - The subscriptions to each environment variable, by its real name.
+ */
+const environmentWatchers = new Map();
+
+
+/**
+ * @constant
+ * @package
+ * @description - The namespace our own bookkeeping is kept under, so
+ *   cached variables can't use it.
+ */
+const cacheReservedNamespace = "variable-irony";
+
+/**
+ * @constant
+ * @package
+ * @description - The storage key holding the bookkeeping for time to
+ *   live expiry and least recently used eviction of cached variables.
+ */
+const cacheMetadataKey = `${cacheReservedNamespace}:metadata`;
+
+/**
+ * @constant
+ * @package
+ * @description - The storage key holding the schema version each
+ *   cached variable was stored with. Unversioned variables aren't listed.
+ */
+const cacheVersionsKey = `${cacheReservedNamespace}:versions`;
+
+/**
+ * @constant
+ * @package
+ * @description - The store wide cache settings set with configureCache.
+ */
+const cacheSettings = {
+	ttl: null,
+	maxEntries: null,
+	maxBytes: null,
+	backend: detectCacheBackend(),
+	namespace: null,
+	quotaFallback: "evict",
+};
+
+/**
+ * @constant
+ * @package
+ * @description - Remembers the scope and storage backend of each cached
+ *   variable by its storage key, so evictions can be reported to the right place.
+ */
+const cachedVariables = new Map();
+
+/**
+ * @constant
+ * @package
+ * @description - The backends opened by name, so every variable using the
+ *   same name shares one.
+ */
+const cacheBackends = new Map();
+
+/**
+ * @constant
+ * @package
+ * @description - Reads that haven't made it into the cache bookkeeping yet,
+ *   by backend and then namespace, along with the timer that saves them.
+ */
+const cacheTouches = { pending: new Map(), timer: null };
+
+/**
+ * @constant
+ * @package
+ * @description - How long in milliseconds reads are gathered up before
+ *   they're saved to the cache bookkeeping.
+ */
+const cacheTouchDelay = 1000;
+
+
+/**
+ * @package
+ * @summary - Adapts a Web Storage object to our backend interface.
+ * @param {Function} open - Returns the Storage object, called when first needed.
+ * @param {(string|null)} [channel=null] - Names the backend for syncing
+ *   with other tabs, or null when it shouldn't be synced.
+ * @returns {object} - The backend.
+ *
+ * @description - Browsers fire a "storage" event in every other tab when
+ *   localStorage changes, which is all syncing needs. Where there's no such
+ *   event, like in workers, it falls back to a BroadcastChannel.
+ */
+function createWebStorageBackend(open, channel){
+	let storage = null;
+	const use = () => storage || (storage = open());
+
+	const backend = {
+		ready: Promise.resolve(),
+		getItem: (key) => use().getItem(key),
+		setItem: (key, value) => use().setItem(key, value),
+		removeItem: (key) => use().removeItem(key),
+		keys: () => Array.from({ length: use().length }, (_, index) => use().key(index)),
+	};
+
+	if (channel == null) return backend;
+
+	if (typeof superglobal.addEventListener !== "function" || ! ("onstorage" in superglobal))
+		return broadcastCacheChanges(backend, channel);
+
+	superglobal.addEventListener("storage", (event) => {
+		if (event.storageArea !== use()) return;
+
+		// A null key means the whole storage was cleared.
+		const keys = event.key === null ? Array.from(cachedVariables.keys()) : [event.key];
+		for (const key of keys)
+			announceExternalChange(backend, key, event.key === null ? undefined : event.oldValue, event.newValue);
+	});
+
+	return backend;
+}
+
+/**
+ * @package
+ * @summary - Tells other tabs about every change made through a backend,
+ *   and listens for theirs.
+ * @param {object} backend - The backend to sync.
+ * @param {string} channel - Names the backend, so only tabs using the same
+ *   one hear about it.
+ * @returns {object} - The backend.
+ *
+ * @description - Backends with an in memory copy of their items, like
+ *   IndexedDB, get a "receive" function called with each change so their
+ *   copy stays current. Browsers without BroadcastChannel don't sync.
+ */
+function broadcastCacheChanges(backend, channel){
+	if (typeof BroadcastChannel !== "function") return backend;
+
+	const broadcast = new BroadcastChannel(`variable-irony:${channel}`);
+	// Some runtimes keep running while a channel is open, but syncing shouldn't.
+	if (typeof broadcast.unref === "function") broadcast.unref();
+	const { setItem, removeItem } = backend;
+
+	broadcast.onmessage = ({ data }) => {
+		if (typeof backend.receive === "function") backend.receive(data.key, data.newValue);
+		announceExternalChange(backend, data.key, data.oldValue, data.newValue);
+	};
+
+	backend.setItem = (key, value) => {
+		const oldValue = backend.getItem(key);
+		setItem(key, value);
+		broadcast.postMessage({ key, oldValue, newValue: String(value) });
+	};
+
+	backend.removeItem = (key) => {
+		const oldValue = backend.getItem(key);
+		removeItem(key);
+		broadcast.postMessage({ key, oldValue, newValue: null });
+	};
+
+	return backend;
+}
+
+/**
+ * @package
+ * @summary - Reports a change another tab made to a cached variable.
+ * @param {object} storage - The backend the change was made in.
+ * @param {string} key - The storage key that changed.
+ * @param {(string|null|undefined)} oldValue - The serialized value before,
+ *   or undefined when it isn't known.
+ * @param {(string|null)} newValue - The serialized value after.
+ * @fires scope#ldChange
+ */
+function announceExternalChange(storage, key, oldValue, newValue){
+	const variable = cachedVariables.get(key);
+	if (variable == null || variable.storage !== storage) return;
+
+	const parse = (raw) => raw == null ? variable.initializer : JSON.parse(raw);
+
+	announceCacheChange(variable, {
+		name: variable.name,
+		oldValue: oldValue === undefined ? undefined : parse(oldValue),
+		newValue: parse(newValue),
+		origin: "external",
+	});
+}
+
+/**
+ * @package
+ * @summary - A backend that only lasts as long as the page.
+ * @returns {object} - The backend.
+ */
+function createMemoryBackend(){
+	const items = new Map();
+
+	return {
+		ready: Promise.resolve(),
+		getItem: (key) => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => { items.set(key, String(value)); },
+		removeItem: (key) => { items.delete(key); },
+		keys: () => Array.from(items.keys()),
+	};
+}
+
+/**
+ * @package
+ * @summary - A backend keeping each item in its own cookie.
+ * @param {object} [options] - Extra options for the cookies.
+ * @param {string} [options.path="/"] - The path the cookies belong to.
+ * @param {number} [options.maxAge=34560000] - How long the cookies last in seconds.
+ * @param {string} [options.sameSite="Lax"] - The cookies' SameSite policy.
+ * @param {boolean} [options.secure=false] - Whether the cookies are only sent over HTTPS.
+ * @returns {object} - The backend.
+ *
+ * @description - Browsers only give each cookie about 4KB and send every
+ *   one of them with each request, so this is best kept for small values
+ *   that the server should see too.
+ */
+function createCookieBackend(options){
+	options = Object.assign({ path: "/", maxAge: 34560000, sameSite: "Lax", secure: false }, options);
+	const attributes = `; path=${options.path}; SameSite=${options.sameSite}${options.secure ? "; Secure" : ""}`;
+
+	const read = () => {
+		const cookies = new Map();
+
+		for (const cookie of document.cookie.split(";")) {
+			const separator = cookie.indexOf("=");
+			if (separator === -1) continue;
+
+			try {
+				cookies.set(
+					decodeURIComponent(cookie.slice(0, separator).trim()),
+					decodeURIComponent(cookie.slice(separator + 1).trim())
+				);
+			}
+			catch (err) {
+				// Other scripts on the page can set cookies we never could have written.
+			}
+		}
+
+		return cookies;
+	};
+
+	return broadcastCacheChanges({
+		ready: Promise.resolve(),
+		getItem: (key) => read().has(key) ? read().get(key) : null,
+		setItem: (key, value) => {
+			document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; max-age=${options.maxAge}${attributes}`;
+		},
+		removeItem: (key) => {
+			document.cookie = `${encodeURIComponent(key)}=; max-age=0${attributes}`;
+		},
+		keys: () => Array.from(read().keys()),
+	}, `cookie:${options.path}`);
+}
+
+/**
+ * @package
+ * @summary - A backend keeping items in IndexedDB.
+ * @param {object} [options] - Extra options for the database.
+ * @param {string} [options.database="variable-irony"] - The database name.
+ * @param {string} [options.store="cache"] - The object store name.
+ * @returns {object} - The backend.
+ *
+ * @description - IndexedDB is asynchronous, but cached variables aren't,
+ *   so items are kept in memory and written back to the database in the
+ *   background. Whatever the database held is loaded into memory once it
+ *   opens, which "ready" resolves after; writes made before then win over
+ *   what was stored. When the database fails, the variables stored in it
+ *   get an ldError event and carry on with the copy in memory.
+ * @fires scope#ldError
+ */
+function createIndexedDBBackend(options){
+	options = Object.assign({ database: "variable-irony", store: "cache" }, options);
+
+	const items = new Map();
+	const queued = new Map();
+	let database = null;
+
+	let backend = null;
+
+	// Opening fails for every variable, writing only fails for the one written.
+	const report = (error, key) => {
+		for (const variable of cachedVariables.values()) {
+			if (variable.storage !== backend || (key != null && variable.key !== key)) continue;
+			dispatchVariableEvent(variable, "ldError", { name: variable.name, error, fallback: "memory" });
+		}
+	};
+
+	const persist = (key, value) => {
+		if (database == null) {
+			queued.set(key, value);
+			return;
+		}
+
+		const transaction = database.transaction(options.store, "readwrite");
+		const store = transaction.objectStore(options.store);
+
+		if (value === null) store.delete(key);
+		else store.put(value, key);
+
+		transaction.onerror = () => report(transaction.error, key);
+	};
+
+	const ready = new Promise((resolve, reject) => {
+		const request = indexedDB.open(options.database, 1);
+
+		request.onupgradeneeded = () => request.result.createObjectStore(options.store);
+		request.onerror = () => reject(request.error);
+		request.onsuccess = () => {
+			const opened = request.result;
+			const cursor = opened.transaction(options.store, "readonly").objectStore(options.store).openCursor();
+
+			cursor.onerror = () => reject(cursor.error);
+			cursor.onsuccess = () => {
+				const current = cursor.result;
+
+				if (current != null) {
+					if ( ! queued.has(current.key) ) items.set(current.key, current.value);
+					current.continue();
+					return;
+				}
+
+				database = opened;
+				for (const [key, value] of queued) persist(key, value);
+				queued.clear();
+				resolve();
+			};
+		};
+	});
+
+	ready.catch((error) => report(error));
+
+	return backend = broadcastCacheChanges({
+		ready,
+		get pending(){ return database == null; },
+		getItem: (key) => items.has(key) ? items.get(key) : null,
+		setItem: (key, value) => {
+			items.set(key, String(value));
+			persist(key, String(value));
+		},
+		removeItem: (key) => {
+			items.delete(key);
+			persist(key, null);
+		},
+		keys: () => Array.from(items.keys()),
+		// The tab that made the change already wrote it to the database.
+		receive: (key, value) => {
+			if (value === null) items.delete(key);
+			else items.set(key, value);
+		},
+	}, `indexedDB:${options.database}/${options.store}`);
+}
+
+/**
+ * @package
+ * @description - Builds each of the named storage backends.
+ */
+const cacheBackendTypes = {
+	localStorage: () => createWebStorageBackend(() => localStorage, "localStorage"),
+	sessionStorage: () => createWebStorageBackend(() => sessionStorage),
+	memory: createMemoryBackend,
+	cookie: createCookieBackend,
+	indexedDB: createIndexedDBBackend,
+};
+
 
 /**
  * @param {string} name - The Environment Variable name spelled as it is natively.
  * @param {(string|null)} [realName=null] - Overrides the name of the Environment Variable natively.
  * @param {(string|null)} [initializer=""] - A default value for the variable when it's unset.
- * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
+ * @param {object} [options] - Extra options for the variable.
+ * @param {(string|object)} [options.type="string"] - How the variable's value is parsed and serialized.
+ * @param {string} [options.separator=","] - The item separator for "list" types.
+ * @param {boolean} [options.interpolate=false] - Whether "${VAR}" style references are expanded when read.
+ * @returns {object} - A handle with the variable's "name" and "realName",
+ *   and "get", "set", "reset", "delete" and "subscribe" functions.
  */
-function linkEnvironmentVariable(name, realName, initializer, scope){
+function envRef(name, realName, initializer, options){
 	// leave type checking for the linter
 
 	// At least check that the name and realName values are not empty.
@@ -80,8 +470,12 @@ function linkEnvironmentVariable(name, realName, initializer, scope){
 	if ( realName && ! realName.length )
 		throw Error(`"realName" argument cannot be empty.`);
 
-	if ( initializer == null ) initializer = ""; // lazy equivalence for null is okay.
-	if ( scope == null ) scope = superglobal; // No target scope? Use global!
+	options = Object.assign({ type: "string", separator: ",", interpolate: false }, options);
+	const type = resolveEnvironmentType(options.type);
+	const lookup = (variable) => env[variable];
+
+	// lazy equivalence for null is okay, but only strings get an empty default.
+	if ( initializer == null && type === environmentTypes.string ) initializer = "";
 
 	if (realName == null) {
 		if (name.match(/(?:[a-z\d]+)(?:[A-Z][a-z\d]+)*/g)[0] === name){
@@ -96,102 +490,825 @@ function linkEnvironmentVariable(name, realName, initializer, scope){
 		}
 	}
 
-	Object.defineProperty(scope, name, {
-		get:() => env[realName],
-		set:(value) => env[realName] = String(value),
-	});
+	// Every handle to the same variable hears about changes made through the others.
+	if ( ! environmentWatchers.has(realName) ) environmentWatchers.set(realName, new Set());
+	const watchers = environmentWatchers.get(realName);
+
+	const read = (raw) => {
+		if ( raw === undefined ) return raw;
+		if ( options.interpolate ) raw = expandEnvironmentValue(raw, lookup, [realName]);
+
+		return type.parse(raw, realName, options);
+	};
+
+	const write = (raw) => {
+		const previous = env[realName];
+
+		if ( raw === undefined ) delete env[realName];
+		else env[realName] = raw;
+
+		if ( previous !== raw )
+			for (const watcher of Array.from(watchers)) watcher(previous, raw);
+	};
+
+	const reference = createReference(name, {
+		get: () => read(env[realName]),
+		set: (value) => write(type.serialize(value, realName, options)),
+		reset: () => write(initializer == null ? undefined : type.serialize(initializer, realName, options)),
+		delete: () => write(undefined),
+		subscribe: (listener) => addSubscriber(watchers, (oldRaw, newRaw) => {
+			listener({ name, oldValue: read(oldRaw), newValue: read(newRaw) });
+		}),
+	}, { realName });
 
 	// finally, we set our initial value for the variable if we have one.
-	if ( scope[name] == null )
+	if ( env[realName] == null && initializer != null )
 		// only when our saved value is unset, otherwise it defeats the purpose
-		scope[name] = initializer;
+		reference.set(initializer);
 
-	return realName;
+	return reference;
 }
 
+/**
+ * @param {string} name - The Environment Variable name spelled as it is natively.
+ * @param {(string|null)} [realName=null] - Overrides the name of the Environment Variable natively.
+ * @param {(string|null)} [initializer=""] - A default value for the variable when it's unset.
+ * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
+ * @param {object} [options] - Extra options for the binding, see envRef.
+ * @returns {string} - The real name of the variable.
+ */
+function linkEnvironmentVariable(name, realName, initializer, scope, options){
+	if ( scope == null ) scope = superglobal; // No target scope? Use global!
 
-function createCachedVariable(name, initializer, scope){
+	const reference = envRef(name, realName, initializer, options);
+	Object.defineProperty(scope, name, { get: reference.get, set: reference.set });
 
-	if ( ! name.length ) throw Error(`'name' cannot be empty.`);
-	if ( scope === null ) scope = superglobal; // No target scope? Use global!
+	return reference.realName;
+}
 
-	/***
-	 *  Then we need to use the Object.defineProperty function
-	 *  to attatch a psuedo variable to our specified scope
-	 */
-	Object.defineProperty(scope, name, {
-		// said variable will contain the standard getter and setter pair
-		set:(value) => {
-			// from within the setter, we define a custom save event
-			// to allow extra external handling for our save event.
-			let LDSaveEvent = new CustomEvent("ldWrite",{
-				// the variable name is dispatched through the event's detail
-				// and some other data goes there as well.
-				detail: {
-					name: name,					// the variable name
-					//previous: scope[name].valueOf(),	// the previous value
-					// can't call scope[name] in here because it would
-					// trigger the load event.
-					value: value,				// the new value
-					/* XXX: Non Standard
-					 *	Function.caller is not standard and if used, should
-					 *	always be tested for by applications using it.
-					 *
-					 * NOTE: Cannot call in strict mode
-					 */
-					// caller: Object.getOwnPropertyDescriptor(scope, name)
-					// 	.set.caller || null // the function who saved our value
-				}
-			});
-			// converting the saved object to a JSON string before
-			// being set in localdata enables us to store native Javascript
-			// values and broadens the use of our localdata
-			localStorage.setItem(name, JSON.stringify(value));
-			// then we dispatch the save event to our binding scope so external
-			// processes can catch our saves
-			this.dispatchEvent(LDSaveEvent);
-		},
-		get:() => {
-			// first we actually have to load in the value from memory
-			// just in case someone changed it behind our back.
-			let value = JSON.parse(localStorage.getItem(name));
-			// otherwise the load event could be fooled by an application
-			// changing the value manually through localStorage.setItem
-			// which would result in the ability to spoof the load events!
-
-			// now, after retreiving the value, we'll define a custom
-			// load event, so that external applications can process
-			// when the variable is accessed.
-			let LDLoadEvent = new CustomEvent("ldRead",{
-				detail: {
-					name: name,			// the variable name
-					value: value,		// the current value
-					/* XXX: Non Standard
-					 *  Function.caller is not standard and if used, should
-					 *  always be tested for by applications using it.
-					 *
-					 * NOTE: Cannot call in strict mode
-					 */
-					// caller: Object.getOwnPropertyDescriptor(scope, name)
-					//  .get.caller || null // the function who loaded our value
-				}
+/**
+ * @param {object} schema - Maps each binding name to its definition.
+ * @returns {object} - An object with every variable in the schema bound to it.
+ * @throws {EnvironmentValidationError} - When any of the variables are missing or malformed.
+ */
+function defineEnvironment(schema){
+	return bindEnvironmentSchema(linkEnvironmentVariable, schema, env);
+}
+
+/**
+ * @param {string} text - The contents of a dotenv style file.
+ * @param {object} [options] - Extra options for loading.
+ * @param {boolean} [options.override=false] - Whether loaded values replace variables that are already set.
+ * @returns {object} - Every variable parsed from the text.
+ */
+function loadEnvironment(text, options){
+	options = Object.assign({ override: false }, options);
+	const parsed = parseEnvironmentFile(text);
+
+	for (const [realName, value] of Object.entries(parsed))
+		if ( options.override || env[realName] === undefined )
+			env[realName] = value;
+
+	return parsed;
+}
+
+/**
+ * @param {string} [location=".env"] - The URL of the file to fetch, relative to the page.
+ * @param {object} [options] - Extra options for loading, see loadEnvironment.
+ * @param {object} [options.fetch] - Options passed through to fetch.
+ * @returns {Promise<object>} - Resolves with every variable parsed from the file.
+ */
+function loadEnvironmentFile(location, options){
+	if ( location == null ) location = ".env";
+	options = Object.assign({}, options);
+
+	// Browsers can't block on a request, so unlike NodeJS this is asynchronous.
+	return fetch(location, options.fetch)
+		.then((response) => {
+			if ( ! response.ok )
+				throw Error(`Could not fetch environment file "${location}": ${response.status} ${response.statusText}`);
+
+			return response.text();
+		})
+		.then((text) => loadEnvironment(text, options));
+}
+
+
+/**
+ * @param {object} [options] - The store wide cache settings.
+ * @param {number} [options.ttl] - How long in milliseconds cached variables live after being written.
+ * @param {number} [options.maxEntries] - How many cached variables can be stored.
+ * @param {number} [options.maxBytes] - How many characters of JSON the cached variables can take up.
+ * @param {(string|object)} [options.backend] - The storage backend for cached variables that don't pick their own, see getCacheBackend.
+ * @param {(string|null)} [options.namespace] - The namespace for cached variables that don't pick their own.
+ * @param {string} [options.quotaFallback] - What to do when storage is full, see createCachedVariable.
+ */
+function configureCache(options){
+	if (options != null && "namespace" in options) checkCacheNamespace(options.namespace);
+	Object.assign(cacheSettings, options);
+	saveCacheTouches();
+
+	// New limits should apply right away instead of on the next write.
+	const areas = new Map([[getCacheBackend(), new Set([cacheSettings.namespace])]]);
+
+	for (const variable of cachedVariables.values()) {
+		if ( ! areas.has(variable.storage) ) areas.set(variable.storage, new Set());
+		areas.get(variable.storage).add(variable.namespace);
+	}
+
+	for (const [storage, namespaces] of areas) {
+		for (const namespace of namespaces) {
+			// Unlimited caches don't keep bookkeeping, so don't start any here.
+			const policy = readCachePolicy(storage, namespace);
+			if ( evictCachedVariables(storage, policy) ) writeCachePolicy(storage, namespace, policy);
+		}
+	}
+}
+
+/**
+ * @package
+ * @summary - Picks the default backend from what the runtime has.
+ * @returns {string} - The backend name.
+ *
+ * @description - Workers don't have localStorage, and Safari's private
+ *   browsing and sandboxed frames throw when it's touched, so those fall
+ *   back to IndexedDB and then memory.
+ */
+function detectCacheBackend(){
+	try {
+		if (superglobal.localStorage != null) return "localStorage";
+	}
+	catch (err) {
+		// Storage is blocked, carry on.
+	}
+
+	return superglobal.indexedDB != null ? "indexedDB" : "memory";
+}
+
+/**
+ * @param {(string|object)} [backend] - A backend name, or a backend object. Defaults to the backend set with configureCache.
+ * @param {object} [options] - Options for a new backend, only used with a backend name.
+ * @returns {object} - The backend, with "getItem", "setItem", "removeItem" and "keys" functions, a "ready" promise and a "pending" flag that's true until it resolves.
+ *
+ * @description - Named backends are "localStorage", "sessionStorage", "memory",
+ *   "cookie" and "indexedDB". Asking for the same name twice gives the same
+ *   backend, unless options are given, which always makes a new one.
+ */
+function getCacheBackend(backend, options){
+	if ( backend == null ) backend = cacheSettings.backend;
+	if ( typeof backend !== "string" ) return backend;
+
+	const create = cacheBackendTypes[backend];
+	if ( create == null )
+		throw Error(`Unknown cache backend "${backend}".`);
+
+	if ( options != null ) return create(options);
+	if ( ! cacheBackends.has(backend) ) cacheBackends.set(backend, create());
+
+	return cacheBackends.get(backend);
+}
+
+/**
+ * @param {string} namespace - The namespace to list.
+ * @param {object} [options] - Extra options for listing.
+ * @param {(string|object)} [options.backend] - The backend to look in, see getCacheBackend.
+ * @returns {Array<string>} - The name of every variable stored in the namespace.
+ */
+function listCachedVariables(namespace, options){
+	if ( ! namespace ) throw Error(`'namespace' cannot be empty.`);
+	checkCacheNamespace(namespace);
+	options = Object.assign({}, options);
+
+	const storage = getCacheBackend(options.backend);
+	const prefix = namespacedKey(namespace, "");
+
+	return storage.keys()
+		.filter((key) => key.startsWith(prefix))
+		.map((key) => key.slice(prefix.length));
+}
+
+/**
+ * @param {string} namespace - The namespace to clear.
+ * @param {object} [options] - Extra options for clearing.
+ * @param {(string|object)} [options.backend] - The backend to clear it from, see getCacheBackend.
+ * @fires scope#ldChange
+ *
+ * @description - Removes every variable stored in the namespace, along with
+ *   its bookkeeping. Variables bound to a scope read as their initializer
+ *   afterwards.
+ */
+function clearCachedVariables(namespace, options){
+	if ( ! namespace ) throw Error(`'namespace' cannot be empty.`);
+	checkCacheNamespace(namespace);
+	options = Object.assign({}, options);
+
+	const storage = getCacheBackend(options.backend);
+	const prefix = namespacedKey(namespace, "");
+	storage.removeItem(bookkeepingKey(cacheMetadataKey, namespace));
+	storage.removeItem(bookkeepingKey(cacheVersionsKey, namespace));
+
+	for (const key of storage.keys().filter((key) => key.startsWith(prefix))) {
+		const previous = storage.getItem(key);
+		storage.removeItem(key);
+
+		const variable = cachedVariables.get(key);
+		if (variable != null && variable.storage === storage) {
+			announceCacheChange(variable, {
+				name: variable.name,
+				oldValue: JSON.parse(previous),
+				newValue: variable.initializer,
+				origin: "local",
 			});
-			// since, we aren't modifying the value of our variable, the
-			// placement of our event's dispatcher is arbitrary.
-			this.dispatchEvent(LDLoadEvent);
-			// but it has to come before the return...
-			return value;
 		}
+	}
+}
+
+/**
+ * @package
+ * @summary - Works out the storage key for something in a namespace.
+ * @param {(string|null)} namespace - The namespace, if any.
+ * @param {string} key - The key within the namespace.
+ * @returns {string} - The storage key.
+ */
+function namespacedKey(namespace, key){
+	return namespace == null ? key : `${namespace}:${key}`;
+}
+
+/**
+ * @package
+ * @summary - Works out the storage key for a namespace's bookkeeping.
+ * @param {string} key - The bookkeeping's key outside any namespace.
+ * @param {(string|null)} namespace - The namespace, if any.
+ * @returns {string} - The storage key.
+ *
+ * @description - Bookkeeping goes in the reserved namespace, and
+ *   namespaces can't hold a ":", so no namespace ever lists it.
+ */
+function bookkeepingKey(key, namespace){
+	return namespace == null ? key : `${key}:${namespace}`;
+}
+
+/**
+ * @package
+ * @summary - Makes sure a namespace can be told apart from the others.
+ * @param {(string|null)} namespace - The namespace to check.
+ * @throws {Error} - When the namespace holds a ":", which would let one
+ *   namespace list and clear another's variables, or is the reserved one.
+ */
+function checkCacheNamespace(namespace){
+	if ( namespace == null ) return;
+
+	if ( namespace.includes(":") )
+		throw Error(`Namespace "${namespace}" can't contain ":".`);
+	if ( namespace === cacheReservedNamespace )
+		throw Error(`Namespace "${cacheReservedNamespace}" is reserved for the cache bookkeeping.`);
+}
+
+/**
+ * @package
+ * @summary - Whether cached variables need their bookkeeping kept.
+ * @param {object} options - The variable's own options.
+ * @returns {boolean} - Whether the cache is limited.
+ */
+function isCacheLimited(options){
+	return options.ttl != null || new CachePolicy(cacheSettings).limited;
+}
+
+/**
+ * @package
+ * @summary - Loads the cache bookkeeping fresh, since other tabs may change it.
+ * @param {object} storage - The backend holding the bookkeeping.
+ * @param {(string|null)} namespace - The namespace the bookkeeping is for.
+ * @returns {CachePolicy} - The current cache policy.
+ */
+function readCachePolicy(storage, namespace){
+	return new CachePolicy(cacheSettings, JSON.parse(storage.getItem(bookkeepingKey(cacheMetadataKey, namespace))));
+}
+
+/**
+ * @package
+ * @param {object} storage - The backend holding the bookkeeping.
+ * @param {(string|null)} namespace - The namespace the bookkeeping is for.
+ * @param {CachePolicy} policy - The cache policy to save.
+ */
+function writeCachePolicy(storage, namespace, policy){
+	storage.setItem(bookkeepingKey(cacheMetadataKey, namespace), JSON.stringify(policy.entries));
+}
+
+/**
+ * @package
+ * @summary - Remembers that a cached variable was read, saving it to the
+ *   bookkeeping later along with any other reads.
+ * @param {object} storage - The backend holding the variable.
+ * @param {(string|null)} namespace - The variable's namespace.
+ * @param {string} key - The variable's storage key.
+ *
+ * @description - Saving the bookkeeping on every read would make reads
+ *   throw when storage is full, and flood other tabs with storage events.
+ */
+function touchCachedVariable(storage, namespace, key){
+	if ( ! cacheTouches.pending.has(storage) ) cacheTouches.pending.set(storage, new Map());
+	const namespaces = cacheTouches.pending.get(storage);
+	if ( ! namespaces.has(namespace) ) namespaces.set(namespace, new Set());
+
+	// Adding it again moves it to the end, so the reads stay in order.
+	const keys = namespaces.get(namespace);
+	keys.delete(key);
+	keys.add(key);
+
+	if (cacheTouches.timer == null) cacheTouches.timer = setTimeout(saveCacheTouches, cacheTouchDelay);
+}
+
+/**
+ * @package
+ * @summary - Saves the reads gathered by touchCachedVariable.
+ *
+ * @description - Writes and evictions save them first, so the least
+ *   recently used variables are always the ones evicted.
+ */
+function saveCacheTouches(){
+	if (cacheTouches.timer != null) clearTimeout(cacheTouches.timer);
+	const pending = cacheTouches.pending;
+	cacheTouches.pending = new Map();
+	cacheTouches.timer = null;
+
+	for (const [storage, namespaces] of pending) {
+		for (const [namespace, keys] of namespaces) {
+			// Variables cleared or expired since aren't worth saving anything for.
+			const policy = readCachePolicy(storage, namespace);
+			const tracked = Array.from(keys).filter((key) => key in policy.entries);
+			if (tracked.length === 0) continue;
+
+			for (const key of tracked) policy.touch(key);
+
+			try {
+				writeCachePolicy(storage, namespace, policy);
+			}
+			catch (error) {
+				// Losing track of a few reads is better than failing them.
+				if ( ! isQuotaExceeded(error) ) throw error;
+			}
+		}
+	}
+}
+
+/**
+ * @package
+ * @summary - Removes whatever the cache policy says won't fit.
+ * @param {object} storage - The backend to evict from.
+ * @param {CachePolicy} policy - The cache policy to evict with.
+ * @returns {boolean} - Whether anything was evicted.
+ * @fires scope#ldEvict
+ */
+function evictCachedVariables(storage, policy){
+	const keys = policy.evict();
+	for (const key of keys) evictCachedVariable(storage, key);
+	return keys.length > 0;
+}
+
+/**
+ * @package
+ * @summary - Removes one stored variable to make room for others.
+ * @param {object} storage - The backend to evict from.
+ * @param {string} key - The storage key of the variable.
+ * @fires scope#ldEvict
+ */
+function evictCachedVariable(storage, key){
+	storage.removeItem(key);
+
+	const variable = cachedVariables.get(key);
+	if (variable != null && variable.storage === storage)
+		dispatchVariableEvent(variable, "ldEvict", { name: variable.name });
+}
+
+/**
+ * @package
+ * @summary - Whether an error means the storage is full.
+ * @param {Error} error - The error thrown while storing.
+ * @returns {boolean} - Whether it's a quota error.
+ */
+function isQuotaExceeded(error){
+	// Older browsers only tell by code; 22 is the standard one, 1014 is Firefox's.
+	return error != null && (
+		error.name === "QuotaExceededError"
+		|| error.name === "NS_ERROR_DOM_QUOTA_REACHED"
+		|| error.code === 22
+		|| error.code === 1014
+	);
+}
+
+/**
+ * @package
+ * @summary - Stores a cached variable's value, falling back when storage is full.
+ * @param {object} variable - The variable being stored.
+ * @param {string} serialized - The value as JSON.
+ * @param {object} options - The variable's own options.
+ * @fires scope#ldError
+ * @fires scope#ldEvict
+ */
+function storeCachedVariable(variable, serialized, options){
+	const { key, namespace, schema } = variable;
+	saveCacheTouches();
+
+	const write = () => {
+		variable.storage.setItem(key, serialized);
+		writeCachedVersion(variable.storage, namespace, key, schema.version);
+
+		if ( isCacheLimited(options) ) {
+			const policy = readCachePolicy(variable.storage, namespace);
+			policy.write(key, serialized.length, options.ttl);
+			evictCachedVariables(variable.storage, policy);
+			writeCachePolicy(variable.storage, namespace, policy);
+		}
+	};
+
+	try {
+		write();
+		return;
+	}
+	catch (error) {
+		if ( ! isQuotaExceeded(error) ) throw error;
+
+		/**
+		 * @event ldError
+		 * @type {object}
+		 * @property {string} name - The variable name that couldn't be stored.
+		 * @property {Error} error - The error the storage threw.
+		 * @property {string} fallback - What's being done about it.
+		 */
+		dispatchVariableEvent(variable, "ldError", { name: variable.name, error, fallback: options.quotaFallback });
+
+		if ( options.quotaFallback === "memory" ) {
+			// Leaving the old value behind would bring it back after a reload.
+			try { variable.storage.removeItem(key); } catch (err) { /* it's already gone */ }
+
+			variable.storage = getCacheBackend("memory");
+			write();
+			return;
+		}
+
+		if ( options.quotaFallback !== "evict" ) throw error;
+
+		// Only limited caches know when each variable was last used. The rest
+		// of our own variables go after them, oldest handle first.
+		const policy = readCachePolicy(variable.storage, namespace);
+		const tracked = Object.keys(policy.entries)
+			.sort((a, b) => policy.entries[a].accessed - policy.entries[b].accessed);
+		const untracked = Array.from(cachedVariables.values())
+			.filter((other) => other.storage === variable.storage && other.namespace === namespace)
+			.map((other) => other.key)
+			.filter((entry) => ! (entry in policy.entries) && variable.storage.getItem(entry) !== null);
+		const oldest = tracked.concat(untracked).filter((entry) => entry !== key);
+
+		for (const entry of oldest) {
+			evictCachedVariable(variable.storage, entry);
+
+			if (entry in policy.entries) {
+				policy.remove(entry);
+				writeCachePolicy(variable.storage, namespace, policy);
+			}
+
+			try {
+				write();
+				return;
+			}
+			catch (err) {
+				if ( ! isQuotaExceeded(err) ) throw err;
+			}
+		}
+
+		// There's nothing left that we're allowed to throw out.
+		throw error;
+	}
+}
+
+/**
+ * @package
+ * @summary - Records the schema version a cached variable was stored with.
+ * @param {object} storage - The backend holding the variable.
+ * @param {(string|null)} namespace - The variable's namespace.
+ * @param {string} key - The variable's storage key.
+ * @param {number} version - The schema version.
+ */
+function writeCachedVersion(storage, namespace, key, version){
+	const versionsKey = bookkeepingKey(cacheVersionsKey, namespace);
+	const versions = JSON.parse(storage.getItem(versionsKey)) || {};
+	if ((versions[key] || 0) === version) return;
+
+	if (version > 0) versions[key] = version;
+	else delete versions[key];
+
+	storage.setItem(versionsKey, JSON.stringify(versions));
+}
+
+/**
+ * @package
+ * @summary - Migrates a cached variable's stored value to the schema version
+ *   it was created with, saving the result.
+ * @param {object} variable - The variable to migrate.
+ * @throws {MigrationError} - When the stored value is newer than the
+ *   schema, or a migration fails.
+ * @fires scope#ldMigrate
+ */
+function upgradeCachedVariable(variable){
+	const { storage, namespace, key, name, schema } = variable;
+
+	const raw = storage.getItem(key);
+	if (raw === null) return;
+
+	const versions = JSON.parse(storage.getItem(bookkeepingKey(cacheVersionsKey, namespace))) || {};
+	const stored = versions[key] || 0;
+	if (stored === schema.version) return;
+
+	const value = migrateValue(JSON.parse(raw), stored, schema, `Cached variable "${name}"`);
+	storage.setItem(key, JSON.stringify(value));
+	writeCachedVersion(storage, namespace, key, schema.version);
+
+	/**
+	 * @event ldMigrate
+	 * @type {object}
+	 * @property {string} name - The variable name that was migrated.
+	 * @property {number} from - The schema version it was stored with.
+	 * @property {number} to - The schema version it was migrated to.
+	 */
+	dispatchVariableEvent(variable, "ldMigrate", { name, from: stored, to: schema.version });
+}
+
+/**
+ * @package
+ * @summary - Dispatches one of our events to a scope, if it can take them.
+ * @param {(object|null)} scope - The scope a cached variable is bound to.
+ * @param {string} type - The event type.
+ * @param {object} detail - The event detail.
+ */
+function dispatchCacheEvent(scope, type, detail){
+	// Plain object scopes don't have an event system to speak of,
+	// and handles from cachedRef may not have a scope at all.
+	if (scope != null && typeof scope.dispatchEvent === "function")
+		scope.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * @package
+ * @summary - Dispatches one of our events to every scope bound to a cached variable.
+ * @param {object} variable - The cached variable the event is about.
+ * @param {string} type - The event type.
+ * @param {object} detail - The event detail.
+ */
+function dispatchVariableEvent(variable, type, detail){
+	for (const scope of Array.from(variable.scopes)) dispatchCacheEvent(scope, type, detail);
+}
+
+/**
+ * @package
+ * @summary - Tells the scopes and every subscriber that a cached variable changed.
+ * @param {object} variable - The cached variable that changed.
+ * @param {object} detail - The ldChange event detail.
+ * @fires scope#ldChange
+ */
+function announceCacheChange(variable, detail){
+	dispatchVariableEvent(variable, "ldChange", detail);
+	for (const subscriber of Array.from(variable.subscribers)) subscriber(detail);
+}
+
+/**
+ * @param {string} name - The new variable name.
+ * @param {*} initializer - A json serializable value for the variable when it's unset.
+ * @param {object} [options] - Extra options for the variable.
+ * @param {object} [options.scope=null] - Where the variable's events are dispatched, if anywhere. Changes, expiries, evictions, migrations and errors go to the scopes of every handle to the same variable.
+ * @param {number} [options.ttl] - How long in milliseconds the value lives after being written.
+ * @param {number} [options.version=0] - The schema version of the stored value.
+ * @param {(object|Map)} [options.migrations] - Maps each schema version to a function upgrading the value from the version before.
+ * @param {(string|object)} [options.backend] - Where the value is stored, see getCacheBackend. Defaults to the backend set with configureCache.
+ * @param {(string|null)} [options.namespace] - Prefixes the storage key, so apps sharing an origin don't collide. Can't contain ":", and "variable-irony" is reserved. Defaults to the namespace set with configureCache.
+ * @param {string} [options.quotaFallback="evict"] - What to do when the storage is full; "evict" the least recently used variables, or without a cache limit the ones created first, switch to "memory", or "throw".
+ * @returns {object} - A handle with the variable's "name", and "get", "set",
+ *   "reset", "delete" and "subscribe" functions.
+ * @throws {MigrationError} - When the stored value is newer than "version", or a migration fails.
+ */
+function cachedRef(name, initializer, options){
+
+	if ( ! name.length ) throw Error(`'name' cannot be empty.`);
+	if ( initializer === undefined ) initializer = null;
+
+	options = Object.assign({
+		scope: null,
+		ttl: null,
+		namespace: cacheSettings.namespace,
+		quotaFallback: cacheSettings.quotaFallback,
+	}, options);
+
+	if ( ! ["evict", "memory", "throw"].includes(options.quotaFallback) )
+		throw Error(`Unknown quota fallback "${options.quotaFallback}".`);
+
+	checkCacheNamespace(options.namespace);
+	if ( options.namespace == null && name.startsWith(`${cacheReservedNamespace}:`) )
+		throw Error(`'name' can't start with "${cacheReservedNamespace}:" outside a namespace.`);
+
+	const scope = options.scope;
+	const key = namespacedKey(options.namespace, name);
+	// Handles to the same key share subscribers and scopes, so they all hear
+	// about changes whichever handle made them.
+	const existing = cachedVariables.get(key);
+
+	// The storage can change if we fall back to memory, so it's kept in here.
+	const variable = {
+		name,
+		key,
+		namespace: options.namespace,
+		initializer,
+		schema: resolveSchema(options),
+		storage: getCacheBackend(options.backend),
+		scopes: existing == null ? new Set() : existing.scopes,
+		subscribers: existing == null ? new Set() : existing.subscribers,
+	};
+	if (scope != null) variable.scopes.add(scope);
+	cachedVariables.set(variable.key, variable);
+
+	// Older values are upgraded up front, so a newer one fails right away.
+	upgradeCachedVariable(variable);
+
+	// said variable will contain the standard getter and setter pair
+	const set = (value) => {
+		// converting the saved object to a JSON string before
+		// being set in localdata enables us to store native Javascript
+		// values and broadens the use of our localdata
+		const serialized = JSON.stringify(value);
+		const previous = variable.storage.getItem(variable.key);
+		storeCachedVariable(variable, serialized, options);
+
+		// then we dispatch the save event to our binding scope so external
+		// processes can catch our saves
+		dispatchCacheEvent(scope, "ldWrite", {
+			// the variable name is dispatched through the event's detail
+			// and some other data goes there as well.
+			name: name,					// the variable name
+			//previous: scope[name].valueOf(),	// the previous value
+			// can't call scope[name] in here because it would
+			// trigger the load event.
+			value: value,				// the new value
+			/* XXX: Non Standard
+			 *	Function.caller is not standard and if used, should
+			 *	always be tested for by applications using it.
+			 *
+			 * NOTE: Cannot call in strict mode
+			 */
+			// caller: Object.getOwnPropertyDescriptor(scope, name)
+			// 	.set.caller || null // the function who saved our value
+		});
+
+		/**
+		 * @event ldChange
+		 * @type {object}
+		 * @property {string} name - The variable name that changed.
+		 * @property {*} oldValue - The value before, undefined when another tab cleared everything.
+		 * @property {*} newValue - The value after.
+		 * @property {string} origin - "local" for changes made here, "external" for other tabs.
+		 */
+		// Unset variables read as the initializer, so storing it isn't a change.
+		const before = previous === null ? JSON.stringify(initializer) : previous;
+		if ( before !== serialized ) announceCacheChange(variable, {
+			name,
+			oldValue: previous === null ? initializer : JSON.parse(previous),
+			newValue: value,
+			origin: "local",
+		});
+	};
+
+	const get = () => {
+		const { storage, key } = variable;
+
+		// first we actually have to load in the value from memory
+		// just in case someone changed it behind our back.
+		// (like another tab running an older version of the app)
+		if ( options.version != null ) upgradeCachedVariable(variable);
+		const raw = storage.getItem(key);
+		// otherwise the load event could be fooled by an application
+		// changing the value manually through localStorage.setItem
+		// which would result in the ability to spoof the load events!
+		let value = raw === null ? initializer : JSON.parse(raw);
+
+		if ( isCacheLimited(options) ) {
+			const policy = readCachePolicy(storage, variable.namespace);
+
+			if ( policy.isExpired(key) ) {
+				storage.removeItem(key);
+				policy.remove(key);
+				writeCachePolicy(storage, variable.namespace, policy);
+
+				/**
+				 * @event ldExpire
+				 * @type {object}
+				 * @property {string} name - The variable name that expired.
+				 * @property {*} value - The value that expired.
+				 */
+				dispatchVariableEvent(variable, "ldExpire", { name, value });
+				value = initializer;
+			}
+			else touchCachedVariable(storage, variable.namespace, key);
+		}
+
+		// now, after retreiving the value, we'll dispatch a custom
+		// load event, so that external applications can process
+		// when the variable is accessed.
+		const detail = {
+			name: name,			// the variable name
+			value: value,		// the current value
+			/* XXX: Non Standard
+			 *  Function.caller is not standard and if used, should
+			 *  always be tested for by applications using it.
+			 *
+			 * NOTE: Cannot call in strict mode
+			 */
+			// caller: Object.getOwnPropertyDescriptor(scope, name)
+			//  .get.caller || null // the function who loaded our value
+		};
+		// Asynchronous backends may not have loaded the stored value yet,
+		// in which case the initializer is all we've got.
+		if ( storage.pending ) detail.pending = true;
+		dispatchCacheEvent(scope, "ldRead", detail);
+		// but it has to come before the return...
+		return value;
+	};
+
+	// Deleting forgets the stored value and its bookkeeping, so the
+	// variable reads as its initializer again.
+	const remove = () => {
+		const { storage, key } = variable;
+		const previous = storage.getItem(key);
+		if ( previous === null ) return;
+
+		storage.removeItem(key);
+		if ( isCacheLimited(options) ) {
+			const policy = readCachePolicy(storage, variable.namespace);
+			policy.remove(key);
+			writeCachePolicy(storage, variable.namespace, policy);
+		}
+		writeCachedVersion(storage, variable.namespace, key, 0);
+
+		if ( previous !== JSON.stringify(initializer) ) announceCacheChange(variable, {
+			name,
+			oldValue: JSON.parse(previous),
+			newValue: initializer,
+			origin: "local",
+		});
+	};
+
+	const reference = createReference(name, {
+		get,
+		set,
+		reset: () => set(initializer),
+		delete: remove,
+		subscribe: (listener) => addSubscriber(variable.subscribers, listener),
 	});
+
 	// finally, we set our initial value for the variable if we have one.
-	if (initializer !== null && localStorage.getItem(name) === null)
+	const initialize = () => {
 		// only when our saved value is unset, otherwise it defeats the purpose
-		scope[name] = initializer;
+		if (initializer !== null && variable.storage.getItem(variable.key) === null)
+			set(initializer);
+	};
+
+	// Asynchronous backends may not have loaded the saved value yet, so
+	// they have to wait before we can tell whether it's unset.
+	if (variable.storage.pending) variable.storage.ready.then(initialize, () => {});
+	else initialize();
+
+	return reference;
+}
+
+/**
+ * @param {string} name - The new variable name.
+ * @param {*} initializer - A json serializable value for the variable when it's unset.
+ * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
+ * @param {object} [options] - Extra options for the variable, see cachedRef.
+ * @throws {MigrationError} - When the stored value is newer than "version", or a migration fails.
+ */
+function createCachedVariable(name, initializer, scope, options){
+	if ( scope == null ) scope = superglobal; // No target scope? Use global!
+
+	/***
+	 *  Then we need to use the Object.defineProperty function
+	 *  to attatch a psuedo variable to our specified scope
+	 */
+	const reference = cachedRef(name, initializer, Object.assign({}, options, { scope }));
+	Object.defineProperty(scope, name, { get: reference.get, set: reference.set });
 }
 
 
 module.exports = {
 	superglobal,
+	cachedRef,
 	createCachedVariable,
-	linkEnvironmentVariable
+	configureCache,
+	getCacheBackend,
+	listCachedVariables,
+	clearCachedVariables,
+	envRef,
+	linkEnvironmentVariable,
+	defineEnvironment,
+	loadEnvironment,
+	loadEnvironmentFile,
+	EnvironmentValidationError,
+	MigrationError,
 };
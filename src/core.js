@@ -37,564 +37,3115 @@
 
 
 // Internal Includes
-const { superglobal } = require("./universal.js");
+const {
+	superglobal,
+	environmentTypes,
+	resolveEnvironmentType,
+	EnvironmentValidationError,
+	bindEnvironmentSchema,
+	parseEnvironmentFile,
+	expandEnvironmentValue,
+	CachePolicy,
+	MigrationError,
+	resolveSchema,
+	migrateValue,
+	addSubscriber,
+	createReference,
+} = require("./universal.js");
 
 // External Includes
 // const ps = require('ps-node'); (will probs make my own native lib for this)
 
 // Standard Includes
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const v8 = require('v8');
 
 
 
 
-let persistentDataStore = null;
-let temporaryDataStore = null;
+const persistentDataStores = new Map();
+const temporaryDataStores = new Map();
 const metadataSignature = new RegExp([
-		t`^I(?<knownInstance>\d+)`,
-		t`T(?<startTime>\d+)`,
-		t`PID(?<pid>\d+)`,
-		t`-.*`,
-	].join("") // for once I don't need the global flag.
-);
+	String.raw`^I(?<knownInstance>\d+)`,
+	String.raw`T(?<startTime>\d+)`,
+	String.raw`PID(?<pid>\d+)`,
+	String.raw`-.*`,
+].join("")); // for once I don't need the global flag.
 const rhetoricRegistry = new Map();
+const environmentWatchers = new Map();
+const cacheRhetoricals = new Map();
+const cacheSettings = {
+	ttl: null,
+	maxEntries: null,
+	maxBytes: null,
+	storage: "persistent",
+	namespace: null,
+};
+let temporaryFileCounter = 0;
+// Tells which async call chain holds a rhetorical's lock, see withLock.
+const lockHolders = AsyncLocalStorage ? new AsyncLocalStorage() : null;
 
 
 
 /**
  * @package
- * @summary - creates a temporary data store using the identity provided.
+ * @summary - Checks whether a process with the given PID is still running.
+ * @param {number} pid - The process ID to check.
+ * @returns {boolean} - Whether the process is alive.
  */
-function getTemporaryDataStore(options){
-	if (temporaryDataStore != null) return temporaryDataStore;
+function isProcessAlive(pid){
+	if (pid === process.pid) return true;
 
-	const programExtension = path.extname(process.argv0);
-	const programName = path.basename(process.argv0, programExtension);
+	try {
+		// Signal 0 doesn't do anything to the process, it only checks it exists.
+		process.kill(pid, 0);
+		return true;
+	}
+	catch (err) {
+		// EPERM means it exists but belongs to someone else.
+		return err.code === 'EPERM';
+	}
+}
 
-	// TODO: perhaps use package name via package.json first instead of path.
+/**
+ * @package
+ * @summary - Runs a function while holding a lock directory, shared between processes.
+ * @param {string} location - The path of the lock directory.
+ * @param {Function} fn - What to run while the lock is held.
+ * @param {object} [options] - Extra options for locking.
+ * @param {number} [options.timeout=10000] - How long in milliseconds to
+ *   wait for the lock before giving up.
+ * @param {number} [options.stale=10000] - How old in milliseconds the lock
+ *   can get before it's assumed its owner crashed.
+ * @returns {*} - Whatever fn returns.
+ * @throws {Error} - With the code "ELOCKTIMEOUT" when the lock couldn't be
+ *   taken in time.
+ *
+ * @description - Creating a directory either works or fails with EEXIST,
+ *   even when several processes try at once, so the lock is a directory we
+ *   make without "recursive" and retry on EEXIST. It's only meant for short,
+ *   synchronous sections; use acquireLock for everything else.
+ */
+function holdDirectoryLock(location, fn, options){
+	options = Object.assign({ timeout: 10000, stale: 10000 }, options);
+	const deadline = Date.now() + options.timeout;
+	// Atomics.wait is the only way to sleep without giving up the thread.
+	const sleeper = new Int32Array(new SharedArrayBuffer(4));
+
+	for (;;) {
+		try {
+			fs.mkdirSync(location);
+			break;
+		}
+		catch (err) {
+			if (err.code !== 'EEXIST') throw err;
+		}
 
-	const defaults = {
-		// Options passed directly to the getTemporaryDataStore
-		programName,
-		attemptRecovery: false,
-	};
+		let age = 0;
+		try { age = Date.now() - fs.statSync(location).mtimeMs; }
+		catch (err) { continue; } // released while we looked, go again.
 
-	options = Object.assign(options, {
-		// assign default arguments
-		attemptRecovery: false, // will be disabled until further notice.
-	});
+		if (age > options.stale) {
+			try { fs.rmdirSync(location); }
+			catch (err) { /* somebody else broke it first */ }
+			continue;
+		}
 
-	const tmpdir = os.tmpdir(); // slightly quicker than calling the native twice.
-	const { username } = os.userInfo(); // get from OS Userinfo (cross platform)
-	const pid = process.pid.toString();
-	let kI = 0;
-
-	// if (options.attemptRecovery == true) {
-	// 	const recoveryOptions = fs.readDirSync(tmpdir);
-	// 		.map((dirname) => {
-	// 			const progusersignature = `${programname}U${username}`;
-	// 			if (dirname.startsWith(progusersignature)) {
-	// 				const identityMetadata = dirname.slice(progusersignature.length);
-	// 				const result = identityMetadata.match(metadataSignature);
-	//
-	// 				if (result[0] === dirname) return result.groups;
-	// 			}
-	// 		})
-	// 		.filter((signature)=>{
-	//
-	// 		});
-	//
-	// 	for (const dir of recoveryOptions) {
-	//
-	// 	}
-	// }
-	// else if (typeof options.attemptRecovery === 'string') {
-	// 	return path.join(tmpdir, options.attemptRecovery);
-	// }
-
-	const time = Date.now();
-	const identity = `${programname}U${username}I${kI}T${time}PID${pid}-`;
-	return fs.mktmpdir(path.join(tmpdir, identity));
+		if (Date.now() > deadline) {
+			const error = Error(`Timed out waiting for the lock "${location}".`);
+			error.code = 'ELOCKTIMEOUT';
+			throw error;
+		}
+
+		Atomics.wait(sleeper, 0, 0, 10);
+	}
+
+	try {
+		return fn();
+	}
+	finally {
+		fs.rmdirSync(location);
+	}
 }
 
 /**
  * @package
- * @summary - creates the persistent data store using the identity provided.
+ * @summary - creates a temporary data store using the identity provided.
+ * @param {object} [options] - The store identity and recovery options.
+ * @param {string} [options.programName] - The program the store belongs to,
+ *   defaults to the name of the running executable.
+ * @param {(boolean|string)} [options.attemptRecovery=false] - When true, the
+ *   newest store left behind by a dead process of this program and user is
+ *   claimed instead of creating a new one. When a string, it names the store
+ *   directory inside os.tmpdir() to claim; it has to be one of this program
+ *   and user's stores, and its process has to be dead.
+ * @returns {string} - The path of the temporary data store.
+ * @throws {Error} - When the named store isn't one we may recover, or when
+ *   the program already has a store and recovery is asked for again.
+ *
+ * @description - Temporary stores are directories in os.tmpdir() named
+ *   "<program>U<user>I<instance>T<start time>PID<pid>-<random>". The instance
+ *   number is the lowest one not held by a running process, so concurrent
+ *   instances of a program can tell each other apart; a lock directory keeps
+ *   two of them starting at once from picking the same one. Orphaned stores are
+ *   claimed by renaming them to our own identity, which is atomic; if another
+ *   process wins the race for one we just move on to the next. Each program
+ *   name gets one store per process, so later calls get the same one back.
  */
-function getPersistentDataStore(options){
-	if (persistentDataStore != null)
-		return persistentDataStore;
-
+function getTemporaryDataStore(options){
 	const programExtension = path.extname(process.argv0);
 	const programName = path.basename(process.argv0, programExtension);
 
+	// TODO: perhaps use package name via package.json first instead of path.
+
 	const defaults = {
 		// Options passed directly to the getTemporaryDataStore
 		programName,
-		strict: false,
-		temporaryFallbackOptions:{ programName, attemptRecovery: true },
+		attemptRecovery: false,
 	};
 
-	// Assign default arguments, overwrite them with passed options.
 	options = Object.assign(defaults, options);
+	if (options.programName == null) options.programName = programName;
 
-	// Try not to allocate the result memory unless we need it.
-	let resultPath = null;
-	if (process.env.APPDATA) {
-		// Winderps has to be the only one to break the Posix standard...
-		resultPath = path.join(process.env.APPDATA, options.options.programName);
+	const tmpdir = os.tmpdir(); // slightly quicker than calling the native twice.
+	const { username } = os.userInfo(); // get from OS Userinfo (cross platform)
+	const pid = process.pid.toString();
+	const signature = `${options.programName}U${username}`;
+
+	const existing = temporaryDataStores.get(signature);
+	if (existing != null) {
+		// The store is already picked, so there's nothing left to recover into it.
+		if (options.attemptRecovery && options.attemptRecovery !== existing.attemptRecovery)
+			throw Error(`Program '${options.programName}' already has the temporary data store "${existing.location}", it can't recover another.`);
+
+		return existing.location;
 	}
-	else {
-		const homedir = os.homedir();
 
-		if (homedir) {
-			const platform = os.platform();
+	if (typeof options.attemptRecovery === 'string') {
+		const requested = options.attemptRecovery;
+		const result = requested.startsWith(signature) && requested.slice(signature.length).match(metadataSignature);
 
-			if (platform === 'win32')
-				resultPath = path.join(homedir, options.programName);
-			else if (platform === 'darwin') // MAC OS
-				resultPath = path.join(homedir, 'Library/Preferences', options.programName);
-			else /* LINUX, ANDROID, SUNOS */
-				resultPath = path.join(homedir, '.local/share', options.programName);
-		}
-		else {
-			// TODO: improve this error reporting with an error type instantiator
-			//   that will improve the available methods for error handling.
-			if (strict)
-				throw "Could not find the persistent Data Store.";
+		// Anything else could walk out of os.tmpdir() or take somebody else's store.
+		if (path.basename(requested) !== requested || ! result)
+			throw Error(`"${requested}" isn't a temporary data store of '${options.programName}' for user '${username}'.`);
+		if (isProcessAlive(Number(result.groups.pid)))
+			throw Error(`The temporary data store "${requested}" is still in use by process ${result.groups.pid}.`);
+	}
 
-			// As a fallback, if for some reason we can't find the persistent
-			// data store, use the temporary one instead. (only when strict is disabled)
-			return persistentDataStore = getTemporaryDataStore(options.temporaryFallbackOptions);
+	// The lowest free instance number is only ours once our store exists,
+	// so nobody else may look for one until we've made it.
+	const claim = () => {
+		const instances = fs.readdirSync(tmpdir, { withFileTypes: true })
+			.map((dirent) => {
+				if ( ! dirent.isDirectory() || ! dirent.name.startsWith(signature) ) return null;
+
+				const result = dirent.name.slice(signature.length).match(metadataSignature);
+				if (result == null) return null;
+
+				return {
+					dirname: dirent.name,
+					suffix: result[0].slice(result[0].indexOf("-") + 1),
+					knownInstance: Number(result.groups.knownInstance),
+					startTime: Number(result.groups.startTime),
+					alive: isProcessAlive(Number(result.groups.pid)),
+				};
+			})
+			.filter((instance) => instance != null);
+
+		const taken = new Set(instances
+			.filter((instance) => instance.alive)
+			.map((instance) => instance.knownInstance));
+
+		let kI = 0;
+		while (taken.has(kI)) kI++;
+
+		const time = Date.now();
+		const identity = `${signature}I${kI}T${time}PID${pid}-`;
+
+		if (options.attemptRecovery) {
+			const orphans = instances
+				.filter((instance) => ! instance.alive)
+				.filter((instance) => options.attemptRecovery === true || instance.dirname === options.attemptRecovery)
+				.sort((a, b) => b.startTime - a.startTime);
+
+			for (const orphan of orphans) {
+				const claimed = path.join(tmpdir, identity + orphan.suffix);
+
+				try {
+					fs.renameSync(path.join(tmpdir, orphan.dirname), claimed);
+					return claimed;
+				}
+				catch (err) {
+					// Somebody else got to it first, try the next one.
+					if (err.code !== 'ENOENT') throw err;
+				}
+			}
 		}
-	}
 
-	// assignment fallthrough (Should == resultPath)
-	return persistentDataStore = os.mkdirSync(resultPath, { recursive: true });
+		// Nothing left to recover means we just start fresh.
+		return fs.mkdtempSync(path.join(tmpdir, identity));
+	};
+
+	const location = holdDirectoryLock(path.join(tmpdir, `${signature}.lock`), claim);
+	temporaryDataStores.set(signature, { location, attemptRecovery: options.attemptRecovery });
+	return location;
 }
 
 /**
- * @public
- * @function linkEnvironmentVariable
- * @param {string} name - The Environment Variable name spelled as it is natively.
- * @param {(string|null)} [realName=null] - Overrides the name of the Environment Variable natively.
- * @param {(string|null)} [initializer=""] - A default value for the variable when it's unset.
- * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
- *
- * @description Defines a cross-platform way to work with environment
- *   variables. Naturally in the browser, said environment variables
- *   are non-existent by default, This makes it easy to keep an API convention
- *   between both platforms. Removes the NodeJS scope nonsense that makes
- *   refferencing them a small pain. For convention adhearence, by default
- *   "realName" is unset, and will be deduced by the API upon definition
- *   based on your variable name assignment. At the moment only camelCase
- *   and snake_case are supported this way since they're the most common
- *   variable naming conventions regardless of the fact that Javascript's
- *   style guide recommends camelCase for special use cases such as
- *   in CoffeeScript. Environment Variables are assumed to be case insensitive
- *   by default and are bouund to their UPPERCASE counterparts for
- *   legacy / DOS support since most native Environment Variables in Linux
- *   also follow this convention but this can be overriden by passing the
- *   realName argument. Also supports the "scope" argument which works the
- *   same as in "createCachedVariable"
- *
- * @example <caption>Example binding assignment.</caption>
- *   // Links the environment variable "LD_LIBRARY_PATH" to ldLibraryPath
- *   // Natively this variable is set to "LD_LIBRARY_PATH=/usr/lib/libsomelib.so"
- *   linkEnvironmentVariable("ldLibraryPath");
- *   console.log(ldLibraryPath); // prints "/usr/lib/libsomelib.so"
- *   // or
- *   linkEnvironmentVariable("ld_library_path");
- *   console.log(ld_library_path); // prints "/usr/lib/libsomelib.so"
- *
- *   // Note that in the browser this would print the default initializer
- *   // since the browser doesn't have a default environment exchange.
- *   console.log(ldLibraryPath);// from the browser prints ""
+ * @package
+ * @summary - Deeply compares two stored values.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {boolean} - Whether both values hold the same data.
  */
-function linkEnvironmentVariable(name, realName, initializer, scope){
+function isEquivalent(a, b){
+	if (Object.is(a, b)) return true;
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null)
+		return false;
+	if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+	if (a instanceof Date) return a.getTime() === b.getTime();
+	if (a instanceof Map || a instanceof Set) {
+		return a.size === b.size && isEquivalent(Array.from(a), Array.from(b));
+	}
 
-	if ( name && name.length == null )
-		throw Error(`"name" argument cannot be empty.`);
+	const keys = Object.keys(a);
+	if (keys.length !== Object.keys(b).length) return false;
 
-	if ( realName && ! realName.length )
-		throw Error(`"realName" argument cannot be empty.`);
+	return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEquivalent(a[key], b[key]));
+}
 
-	if (initializer == null) initializer = "";
-	if (scope == null) scope = superglobal; // No target scope? Use global!
+/**
+ * @package
+ * @summary - Deeply copies a stored value.
+ * @param {*} value - The stored value.
+ * @returns {*} - A copy that shares nothing with the original.
+ */
+function cloneValue(value){
+	return v8.deserialize(v8.serialize(value));
+}
 
-	if (realName == null) {
-		if (name.match(/(?:[\da-z]+)(?:[A-Z][\da-z]+)*/g)[0] === name){
-			// Try parsing as camelCase for TypeScript and JavaScript
-			realName = name.replace(/([A-Z])/g, "_$1").toUpperCase();
-		}
-		else {
-			// Try parsing as snake_case for CoffeeScript
-			// Or well... if a CoffeeScript user likes python and uses snake_case;
-			// since I just learned CoffeeScript uses camelCase standard too...
-			realName = name.toUpperCase();
-		}
-	}
+/**
+ * @package
+ * @summary - Lists the keys that differ between two versions of a store.
+ * @param {object} before - The older contents.
+ * @param {object} after - The newer contents.
+ * @returns {Array<object>} - The "key", "oldValue", "newValue" and whether
+ *   it was "deleted", for every key that changed.
+ */
+function diffContexts(before, after){
+	const changes = [];
+	const keys = new Set(Object.keys(before).concat(Object.keys(after)));
 
-	Object.defineProperty(scope, name, {
-		get:() => process.env[realName],
-		set:(value) => process.env[realName] = String(value),
-	});
+	for (const key of keys) {
+		const deleted = ! Object.prototype.hasOwnProperty.call(after, key);
+		if ( ! deleted && Object.prototype.hasOwnProperty.call(before, key) && isEquivalent(before[key], after[key]) )
+			continue;
+
+		changes.push({ key, oldValue: before[key], newValue: after[key], deleted });
+	}
 
-	if (scope[name] == null)
-		scope[name] = String(initializer);
+	return changes;
+}
 
-	return realName;
+/**
+ * @package
+ * @summary - Measures how much room a stored value takes up.
+ * @param {*} value - The stored value.
+ * @returns {number} - The size of the value in bytes, as v8 serializes it.
+ */
+function sizeOfValue(value){
+	try { return v8.serialize(value).length; }
+	catch (err) { return 0; } // Functions and the like can't be saved anyway.
 }
 
+/**
+ * @package
+ * @summary - Checks whether a lock file was left behind by a dead process.
+ * @param {string} lockLocation - The path of the lock file.
+ * @param {string} contents - The lock file contents we read.
+ * @param {number} staleAfter - How old in milliseconds a lock can get before
+ *   it's considered stale, regardless of its owner.
+ * @returns {Promise<boolean>} - Whether the lock can be broken.
+ */
+async function isLockStale(lockLocation, contents, staleAfter){
+	let owner = null;
+	try { owner = JSON.parse(contents); }
+	catch (err) { /* Still being written, or garbage; the age check decides. */ }
+
+	if (owner && owner.hostname === os.hostname() && ! isProcessAlive(owner.pid))
+		return true;
+
+	const { mtimeMs } = await fs.promises.stat(lockLocation);
+	return Date.now() - mtimeMs > staleAfter;
+}
 
 /**
- * @public
- * @function createCachedVariable
- * @param {string} name - The new variable name.
- * @param {*} initializer - A json serializable value for the variable when it's unset.
- * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
- * @fires scope#ldSave
- * @fires scope#ldLoad
- *
- * @description - Simplifies the process of reading and setting saved variables
- *   by creating a custom variable type that when accessed refferences
- *   a LocalStorage held item when in the browser, or a json cached
- *   item in NodeJS. Note that the two events this function is registered to
- *   fire are actually fired when the respective variable is set and retrieved.
- *   Said events are fired from the scope the variable is attatched to.
- *   So don't get any bright ideas and think you can catch the event from
- *   the variable itself. Because that would be dumb. In both instances,
- *   variables stored are serialized as json objects so function assignment
- *   will not work.
- *
- * @example <caption>Example global variable assignment.</caption>
- *   // Creates a saved variable in the global scope by the name of "kip".
- *   createCachedVariable("kip", false);
- *   console.log(kip); // prints "false";
- *
- * @example <caption>Example of variable assignment within an object scope.</caption>
- *   // Create the scope in which we want the variable stored.
- *   const container = {};
- *   // ...
- *   createCachedVariable("kip", true, container);
- *   console.log(container.kip); // prints "true";
- *
- * @example <caption>Setting the persistent variable and proof.</caption>
- *   // Simply assign a value to the variable
- *   kip = "A string full of things that makes me sing!"
- *   console.log(kip); // A string full of ...
+ * @package
+ * @summary - Takes an advisory lock on a file, shared between processes.
+ * @param {string} location - The path of the file being protected.
+ * @param {object} [options] - Extra options for locking.
+ * @param {number} [options.timeout=10000] - How long in milliseconds to
+ *   wait for the lock before giving up.
+ * @param {number} [options.stale=30000] - How old in milliseconds a lock can
+ *   get before it's broken, for owners on other hosts or that hang.
+ * @param {number} [options.retryDelay=25] - How long to wait between tries.
+ * @returns {Promise<Function>} - Resolves with an async function that
+ *   releases the lock.
+ * @throws {Error} - With the code "ELOCKTIMEOUT" when the lock couldn't be
+ *   taken in time.
  *
- *   // Restart the browser
- *   console.log(kip); // A string full of ...
+ * @description - The lock is a "<file>.lock" file created exclusively, which
+ *   holds the owner's PID, hostname and when it was taken. Locks whose owner
+ *   on this host has died, or that are older than "stale", are broken. The
+ *   lock file is touched while we hold it, so only a lock that stopped being
+ *   touched ever looks stale.
  */
-function createCachedVariable(name, initializer, scope){
-	/***
-	 * Test for required variables and type constraints,
-	 * throwing errors when necessary.
-	 */
-	if ( ! name.length ) throw Error(`'name' argument cannot be empty.`);
-	if ( scope == null ) scope = superglobal; // No target scope? Use global!
-
+async function acquireLock(location, options){
+	options = Object.assign({ timeout: 10000, stale: 30000, retryDelay: 25 }, options);
+
+	const lockLocation = `${location}.lock`;
+	const started = Date.now();
+	const identity = JSON.stringify({
+		pid: process.pid,
+		hostname: os.hostname(),
+		time: started,
+		nonce: temporaryFileCounter++,
+	});
 
-	Object.defineProperty(scope, name, {
-		// said variable will contain the standard getter and setter pair
-		set:(value) => {
+	let heartbeat = null;
 
-			/**
-			 * @event ldWrite
-			 * @type {object}
-			 * @property {string} name - The variable name the value is assigned to.
-			 * @property {*} value - The value of the variable being saved.
-			 * @description Dispatched to the container object whenever the cache is
-			 *   written to.
-			 */
-			let LDSaveEvent = new CustomEvent("ldWrite",{
-				// the variable name is dispatched through the event's detail
-				// and some other data goes there as well.
-				detail: {
-					name: name,
-					value: value,
-				}
-			});
+	const release = async () => {
+		clearInterval(heartbeat);
 
-			// Use cache instead of browser LocalStorage API.
-			cache[name] = value;
-			this.dispatchEvent(LDSaveEvent);
-		},
-		get:() => {
-			let value = cache[name];
+		// Never remove a lock that was broken and taken by somebody else.
+		const contents = await fs.promises.readFile(lockLocation, 'utf8').catch(() => null);
+		if (contents === identity) await fs.promises.unlink(lockLocation);
+	};
 
-			/**
-			 * @event ldRead
-			 * @type {object}
-			 * @property {string} name - The variable name the value is assigned to.
-			 * @property {*} value - The value of the variable being loaded.
-			 * @description Dispatched to the container object whenever the cache is
-			 *   read from.
-			 */
-			let LDLoadEvent = new CustomEvent("ldRead",{
-				detail: {
-					name: name,			// the variable name
-					value: value,		// the current value
-				}
-			});
+	for (;;) {
+		try {
+			await fs.promises.writeFile(lockLocation, identity, { flag: 'wx' });
 
-			this.dispatchEvent(LDLoadEvent);
-			return value;
-		}
-	});
-	// finally, we set our initial value for the variable if we have one.
-	if (initializer !== null && cache[name] !== undefined)
-		// Test for undefined instead of null because the LocalStorage API is
-		// responsible for generating the null return.
-		scope[name] = initializer;
-}
+			// Long critical sections would look stale without this.
+			heartbeat = setInterval(() => {
+				const now = new Date();
+				fs.promises.utimes(lockLocation, now, now).catch(() => {});
+			}, Math.max(options.stale / 3, 1));
+			if (heartbeat.unref) heartbeat.unref();
 
-function trySaveToDisk(object, location){
-	try{
-		// Check that we have access to our cache object just in case we don't.
-		// These are on separate lines so we can conditionally handle
-		// each use case.
-		if ( fs.existsSync(location) ) {
-			fs.accessSync(location, fs.constants.R_OK);
-			fs.accessSync(location, fs.constants.W_OK);
+			return release;
 		}
-		else {
-			fs.mkdirSync()
+		catch (err) {
+			if (err.code !== 'EEXIST') throw err;
 		}
 
-		for (let event of ['exit', 'SIGTERM', 'SIGINT', 'SIGHUP', ]) {
-			// @ts-ignore
-			process.on(event, ()=>{ // (code)
-				/**
-				 * @package
-				 * @listens exit
-				 * @listens SIGTERM
-				 * @listens SIGINT
-				 * @listens SIGHUP
-				 * @description - Captures the before exit event to flush cache to disk.
-				 *
-				 * @todo - Maybe catch SIGHUP in own event that spawns detatched
-				 *   background process to finish writing to the cache.
-				 * @todo - Pass through SIGTERM & SIGINT default behavior because
-				 *   catching those signals destroys the default event catch.
-				 */
-				fs.writeFileSync(cache_path, JSON.stringify(cache), {encoding: "UTF-8"});
-
-				// Remove temporary data store.
-				if ( dataStore.startsWith(os.tmpdir()) ) {
-					let remaining = fs.readdirSync(dataStore, { withFileTypes: true })
-						.map(dirent => dirent.name = path.join(dataStore, dirent.name));
-
-					for (let dirent of remaining) {
-						if ( dirent.isDirectory() ) {
-							let contents = fs.readdirSync(dirent.name, { withFileTypes: true })
-								.map(dirent => dirent.name = path.join(dataStore, dirent.name));
-
-							if ( contents.length )
-								remaining.push.apply( null, contents.concat([dirent]));
-							else
-								fs.rmdirSync(current_dir);
-						}
-						else {
-							fs.unlinkSync(dirent.name);
-						}
-
-						remaining_dirents.shift();
-					}
-					fs.rmdirSync(dataStore);
+		try {
+			const contents = await fs.promises.readFile(lockLocation, 'utf8');
+
+			if (await isLockStale(lockLocation, contents, options.stale)) {
+				// Read it once more right before breaking it, that keeps the window
+				// where two processes break each other's locks as small as we can.
+				if (await fs.promises.readFile(lockLocation, 'utf8') === contents) {
+					await fs.promises.unlink(lockLocation);
+					continue;
 				}
-			});
+			}
+		}
+		catch (err) {
+			// The owner let go while we were looking, so try again right away.
+			if (err.code === 'ENOENT') continue;
+			throw err;
 		}
 
-		if ( fs.existsSync(cache_path) ) {
-			let loaded = JSON.parse(fs.readFileSync(cache_path, {encoding: "UTF-8"}));
-			Object.assign(cache, loaded);
+		if (Date.now() - started >= options.timeout) {
+			const error = Error(`Timed out waiting for the lock on "${location}".`);
+			error.code = 'ELOCKTIMEOUT';
+			throw error;
 		}
 
-		// ensure our temporary data store is available when we need it.
-		if ( dataStore.startsWith(os.tmpdir()) )
-			fs.mkdirSync(dataStore, { recursive: true });
+		await new Promise((resolve) => setTimeout(resolve, options.retryDelay));
 	}
-	catch (err) {
-		console.error(err);
+}
 
-		// switch (lineNumber){
-		// case "252": // Must match line number of accessSync Readable check.
-		// 	console.error(`Cannot read cache data from disk: ${err.message}`);
-		// case "253": // Must match line number of accessSync Writable check.
-		// 	// If we cannot read just assume we cannot write for data integrity.
-		// 	console.warn(`Cannot write to cache. Any cache data written will not be saved durring this session.`);
-		// break; // eslint-disable-line
-		//
-		// default:
-		// 	throw Error(`Unknown access error signature: ${lineNumber}`);
-		// }
-	}
+/**
+ * @package
+ * @summary - Turns values JSON can't hold into tagged objects.
+ * @param {string} key - The key being serialized.
+ * @param {*} value - The value after any toJSON calls.
+ * @returns {*} - What JSON.stringify should write instead.
+ *
+ * @description - JSON.stringify calls this with the object holding the key
+ *   as "this".
+ */
+function tagIronyValue(key, value){
+	// "this[key]" is the value before Date.prototype.toJSON got to it.
+	const raw = this[key];
+
+	if (raw === undefined) return { $irony: "undefined" };
+	if (typeof raw === "bigint") return { $irony: "BigInt", value: raw.toString() };
+	if (typeof raw === "number" && ! Number.isFinite(raw)) return { $irony: "Number", value: String(raw) };
+	if (raw instanceof Date) return { $irony: "Date", value: raw.getTime() };
+	if (raw instanceof Map) return { $irony: "Map", value: Array.from(raw) };
+	if (raw instanceof Set) return { $irony: "Set", value: Array.from(raw) };
+
+	// Objects that look like tags have to be escaped so they aren't revived.
+	if (raw !== null && typeof raw === "object" && Object.prototype.hasOwnProperty.call(raw, "$irony"))
+		return { $irony: "Object", value: Object.entries(raw) };
+
+	return value;
 }
+
+/**
+ * @package
+ * @summary - Restores the tagged objects written by tagIronyValue.
+ * @param {*} value - The parsed JSON value.
+ * @returns {*} - The value with every tagged object restored.
+ */
+function untagIronyValue(value){
+	if (value === null || typeof value !== "object") return value;
+	if (Array.isArray(value)) return value.map(untagIronyValue);
+
+	if (typeof value.$irony === "string") {
+		const inner = untagIronyValue(value.value);
+
+		switch (value.$irony) {
+		case "undefined": return undefined;
+		case "BigInt": return BigInt(inner);
+		case "Number": return Number(inner);
+		case "Date": return new Date(inner);
+		case "Map": return new Map(inner);
+		case "Set": return new Set(inner);
+		case "Object": return Object.fromEntries(inner);
+		default: throw Error(`Unknown tagged value type "${value.$irony}".`);
+		}
+	}
+
+	// JSON.parse revivers can't produce undefined, which is why we do this by hand.
+	const result = {};
+	for (const key of Object.keys(value)) result[key] = untagIronyValue(value[key]);
+	return result;
 }
 
 /**
+ * @constant
  * @public
- * @function IronicEnvironment
- * @param {object} defaults - An object containing values to be garranteed
- *   set in the global environment upon initialization.
- *
- * @description - A proxy scope generator for environment variables.
- *   Initially, we were planning on making this more fully featured, with added
- *   support for environment encapsulation and other "usefull" things. But we
- *   realized that the only current use for an operating environment is at the
- *   operating system level, there's no use for it in the browser currently.
- *   So now, this API feature is implemented as a platform independent way of
- *   accessing and modifying environment variables.
+ * @description - The serializer formats rhetoricals can save with. Every
+ *   serializer has a "name" that's written to the file header so the format
+ *   can be detected when loading, a "binary" flag saying whether "encode"
+ *   returns a Buffer instead of a string, and the "encode" and "decode"
+ *   functions themselves. "json" is plain JSON, "tagged-json" is JSON that
+ *   also round-trips Date, Map, Set, BigInt, undefined and non-finite
+ *   numbers, and "v8" uses the structured clone format from v8.serialize.
+ *   Custom formats can be added here or passed straight to a rhetorical.
  */
-class IronicEnvironment extends Proxy {
-	constructor(defaults) {
-		if (typeof settings !== "object")
-			throw Error(`Expected 'overrides' object be of type 'object' but got '${typeof overrides}.'`);
+const serializers = {
+	json: {
+		name: "json",
+		binary: false,
+		encode: (value) => JSON.stringify(value),
+		decode: (text) => JSON.parse(text),
+	},
+	"tagged-json": {
+		name: "tagged-json",
+		binary: false,
+		encode: (value) => JSON.stringify(value, tagIronyValue),
+		decode: (text) => untagIronyValue(JSON.parse(text)),
+	},
+	v8: {
+		name: "v8",
+		binary: true,
+		encode: (value) => v8.serialize(value),
+		decode: (buffer) => v8.deserialize(buffer),
+	},
+};
 
-		// Sanitize the overrides so they comply with environment variable standards;
-		for ( variable in settings.overrides )
-			overrides[variable] = String(overrides[variable]);
+/**
+ * @package
+ * @summary - Finds the serializer for a rhetorical's serializer option.
+ * @param {(string|object)} [serializer="json"] - A serializer name from
+ *   "serializers", a serializer object, or a JSON-like object with
+ *   "stringify" and "parse" functions.
+ * @returns {object} - The matching serializer.
+ */
+function resolveSerializer(serializer){
+	if (serializer == null || serializer === JSON) return serializers.json;
 
-		// copy process.env variables overtop overrides and re-assign global.
-		process.env = Object.assign(overrides, process.env);
+	if (typeof serializer === "string") {
+		if (serializers[serializer] == null)
+			throw Error(`Unknown serializer "${serializer}".`);
 
-		super(process.env, {
-			set:(target, property, value, reciever) => {
-				// Also sanitize the newly passed variables upon set.
-				target[property] = String(value);
-				return value;
-			}
-			get:(target, property, reciever) => {
-				return target[property];
-			}
-		});
+		return serializers[serializer];
 	}
-}
 
-class Metacommunication extends EventEmitter {
-	constructor() {
-		super(); // Initialize EventEmitter features
-		this._context = {};
+	// Keeps the old JSON shaped serializers working.
+	if (typeof serializer.stringify === "function" && typeof serializer.parse === "function") {
+		return {
+			name: serializer.name || "custom",
+			binary: false,
+			encode: (value) => serializer.stringify(value),
+			decode: (text) => serializer.parse(text),
+		};
+	}
 
-		this._revocable = Proxy.revocable(this._context, {
-			set:(target, property, value, reciever) => {
-				//console.log(`target: ${target}\n property: ${property}\n value: ${value}\nreciever: ${reciever}`);
-				//reciever.dispatchEvent(CacheWriteEvent(property, value));
-				this.emit("writing-irony", property, value);
-				target[property] = value;
-				return value;
-			},
-			get:(target, property, reciever) => {
-				//console.log(`target: ${target}\n property: ${property}\nreciever: ${reciever}`);
-				//reciever.dispatchEvent(CacheReadEvent(property, target[property]));
-				const value = target[property];
-				this.emit("reading-irony", property, value);
-				return value;
-			}
-		});
+	if (typeof serializer.encode !== "function" || typeof serializer.decode !== "function" || ! serializer.name)
+		throw Error(`Serializers need a "name" and "encode" and "decode" functions.`);
 
-		this.store = this._revocable.proxy;
-	}
+	return serializer;
+}
 
-	revoke() {
+/**
+ * @package
+ * @summary - Works out how a rhetorical keeps its history from its history option.
+ * @param {(boolean|number|object)} [history] - See Rhetorical.
+ * @returns {(object|null)} - The history "limit" and "storage", or null
+ *   when the rhetorical doesn't keep any.
+ */
+function resolveHistory(history){
+	if (history == null || history === false) return null;
+	if (history === true) history = {};
+	if (typeof history === "number") history = { limit: history };
+
+	const { limit = 10, storage = "memory" } = history;
+
+	if ( ! Number.isInteger(limit) || limit < 1 )
+		throw Error(`The history limit needs to be a whole number above 0, not ${JSON.stringify(limit)}.`);
+	if ( ! ["memory", "files"].includes(storage) )
+		throw Error(`Unknown history storage "${storage}", expected "memory" or "files".`);
+
+	return { limit, storage };
+}
+
+/**
+ * @package
+ * @summary - Works out when a rhetorical saves from its saveFrequency option.
+ * @param {(number|string|object)} [saveFrequency] - See Rhetorical.
+ * @returns {(object|null)} - The save "mode", "wait" and "maxWait", or
+ *   null when the rhetorical is only saved by hand.
+ */
+function resolveSaveFrequency(saveFrequency){
+	if (saveFrequency == null) return null;
+
+	if (Number.isInteger(saveFrequency) && saveFrequency > 0)
+		return { mode: "interval", wait: saveFrequency, maxWait: null };
+
+	if (saveFrequency === "on-write")
+		return { mode: "on-write", wait: 0, maxWait: null };
+
+	if (typeof saveFrequency === "object" && ["debounce", "throttle"].includes(saveFrequency.mode)) {
+		const { mode, wait = 0, maxWait = null } = saveFrequency;
+
+		if ( ! (wait >= 0) || ! (maxWait == null || maxWait >= wait) )
+			throw Error(`The "${mode}" save frequency needs a "wait" of at least 0 and a "maxWait" no less than it.`);
+
+		return { mode, wait, maxWait };
+	}
+
+	throw Error(`Unknown save frequency ${JSON.stringify(saveFrequency)}.`);
+}
+
+const ironyFileMagic = "IRONY:";
+
+/**
+ * @package
+ * @summary - Builds the contents of an ".irony" file.
+ * @param {object} serializer - The serializer to encode with.
+ * @param {object} envelope - The rhetorical's "meta" data and "context".
+ * @returns {Buffer} - The file contents.
+ *
+ * @description - Irony files start with an "IRONY:<serializer name>" line
+ *   followed by the encoded envelope, so load can tell which serializer
+ *   wrote them.
+ */
+function encodeIronyFile(serializer, envelope){
+	const payload = serializer.encode(envelope);
+
+	return Buffer.concat([
+		Buffer.from(`${ironyFileMagic}${serializer.name}\n`, "utf8"),
+		Buffer.isBuffer(payload) ? payload : Buffer.from(payload, "utf8"),
+	]);
+}
+
+/**
+ * @package
+ * @summary - Reads the contents of an ".irony" file.
+ * @param {Buffer} contents - The file contents.
+ * @param {object} [preferred] - A serializer to try before the built in ones.
+ * @returns {object} - The rhetorical's "meta" data and "context".
+ */
+function decodeIronyFile(contents, preferred){
+	// Files from before the header existed are plain JSON contexts.
+	if (contents.toString("utf8", 0, ironyFileMagic.length) !== ironyFileMagic)
+		return { meta: {}, context: JSON.parse(contents.toString("utf8")) };
+
+	const newline = contents.indexOf(0x0A);
+	if (newline === -1) throw Error("Irony file header is never terminated.");
+
+	const name = contents.toString("utf8", ironyFileMagic.length, newline);
+	const serializer = (preferred && preferred.name === name) ? preferred : serializers[name];
+
+	if (serializer == null) throw Error(`Irony file was written with unknown serializer "${name}".`);
+
+	const payload = contents.subarray(newline + 1);
+	return serializer.decode(serializer.binary ? payload : payload.toString("utf8"));
+}
+
+const encryptedFileHeader = Buffer.from(`${ironyFileMagic}aes-256-gcm\n`, "utf8");
+const encryptionSaltLength = 16;
+const encryptionIvLength = 12;
+const encryptionTagLength = 16;
+
+/**
+ * @public
+ * @class DecryptionError
+ * @augments Error
+ * @param {string} message - What went wrong.
+ * @param {Error} [cause] - The error thrown by the cipher, if any.
+ *
+ * @description - Thrown when an encrypted ".irony" file can't be read back,
+ *   because the key is wrong, the file was tampered with, or it isn't
+ *   encrypted the way the rhetorical expects. Kept apart from parse errors
+ *   so a bad key is never mistaken for a corrupted file.
+ */
+class DecryptionError extends Error {
+	constructor(message, cause) {
+		super(message);
+
+		this.name = "DecryptionError";
+		this.code = "EIRONYDECRYPT";
+		if (cause != null) this.cause = cause;
+	}
+}
+
+/**
+ * @package
+ * @summary - Works out where a rhetorical's encryption key comes from.
+ * @param {object} [encryption] - See Rhetorical.
+ * @returns {(object|null)} - The key source, or null when the rhetorical
+ *   isn't encrypted.
+ */
+function resolveEncryption(encryption){
+	if (encryption == null || encryption === false) return null;
+
+	const { key, passphrase, variable } = encryption;
+
+	if (key != null) {
+		if ( ! (key instanceof Uint8Array) || key.length !== 32 )
+			throw Error(`Encryption keys need to be a 32 byte Buffer for AES-256-GCM.`);
+
+		return { derived: false, secret: () => Buffer.from(key), keys: null };
+	}
+
+	let secret = null;
+
+	if (passphrase != null) {
+		secret = () => String(passphrase);
+	}
+	else if (variable != null) {
+		// Read when needed, so the variable can be linked or loaded after we're made.
+		secret = () => {
+			const value = process.env[variable];
+			if (value == null || value === "")
+				throw Error(`The encryption passphrase variable "${variable}" isn't set.`);
+			return value;
+		};
+	}
+	else {
+		throw Error(`Encryption needs a "key", a "passphrase" or a "variable" to read the passphrase from.`);
+	}
+
+	// Deriving keys is slow on purpose, so each salt is only worked out once.
+	return { derived: true, secret, keys: new Map() };
+}
+
+/**
+ * @package
+ * @summary - Gets the AES key for a salt.
+ * @param {object} encryption - The rhetorical's key source.
+ * @param {Buffer} salt - The salt stored in the file.
+ * @returns {Buffer} - The 32 byte key.
+ */
+function encryptionKey(encryption, salt){
+	if ( ! encryption.derived ) return encryption.secret();
+
+	const passphrase = encryption.secret();
+	const id = `${salt.toString("hex")}:${passphrase}`;
+
+	if ( ! encryption.keys.has(id) )
+		encryption.keys.set(id, crypto.scryptSync(passphrase, salt, 32));
+
+	return encryption.keys.get(id);
+}
+
+/**
+ * @package
+ * @summary - Encrypts the contents of an ".irony" file.
+ * @param {Buffer} contents - The file contents, see encodeIronyFile.
+ * @param {object} encryption - The rhetorical's key source.
+ * @param {Buffer} salt - The salt to derive the key with.
+ * @returns {Buffer} - The encrypted file contents.
+ *
+ * @description - Encrypted files start with an "IRONY:aes-256-gcm" line,
+ *   then the salt, the IV and the authentication tag, then the encrypted
+ *   contents. The header and salt are authenticated along with the contents.
+ */
+function encryptIronyFile(contents, encryption, salt){
+	const iv = crypto.randomBytes(encryptionIvLength);
+	const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(encryption, salt), iv);
+
+	cipher.setAAD(Buffer.concat([encryptedFileHeader, salt]));
+	const encrypted = Buffer.concat([cipher.update(contents), cipher.final()]);
+
+	return Buffer.concat([encryptedFileHeader, salt, iv, cipher.getAuthTag(), encrypted]);
+}
+
+/**
+ * @package
+ * @summary - Checks whether the contents of an ".irony" file are encrypted.
+ * @param {Buffer} contents - The file contents.
+ * @returns {boolean} - Whether they start with the encrypted file header.
+ */
+function isEncryptedIronyFile(contents){
+	return contents.length >= encryptedFileHeader.length
+		&& contents.subarray(0, encryptedFileHeader.length).equals(encryptedFileHeader);
+}
+
+/**
+ * @package
+ * @summary - Decrypts the contents of an ".irony" file.
+ * @param {Buffer} contents - The encrypted file contents.
+ * @param {object} encryption - The rhetorical's key source.
+ * @returns {Buffer} - The file contents, see decodeIronyFile.
+ * @throws {DecryptionError} - When the key is wrong or the file was changed.
+ */
+function decryptIronyFile(contents, encryption){
+	let offset = encryptedFileHeader.length;
+	const salt = contents.subarray(offset, offset += encryptionSaltLength);
+	const iv = contents.subarray(offset, offset += encryptionIvLength);
+	const tag = contents.subarray(offset, offset += encryptionTagLength);
+
+	if (tag.length !== encryptionTagLength)
+		throw new DecryptionError("Encrypted irony file is truncated.");
+
+	try {
+		const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(encryption, salt), iv);
+		decipher.setAAD(Buffer.concat([encryptedFileHeader, salt]));
+		decipher.setAuthTag(tag);
+
+		return Buffer.concat([decipher.update(contents.subarray(offset)), decipher.final()]);
+	}
+	catch (err) {
+		throw new DecryptionError("Encrypted irony file can't be decrypted; the key is wrong or the file was tampered with.", err);
+	}
+}
+
+/**
+ * @package
+ * @summary - Finds where a persistent data store of some kind belongs.
+ * @param {string} kind - One of "data", "config", "cache" or "state".
+ * @param {string} programName - The name of the program owning the store.
+ * @param {(string|null)} vendor - The vendor of the program, if any.
+ * @returns {(string|null)} - The store location, or null when the user has
+ *   no home directory to put it in.
+ *
+ * @description - Follows each platform's own conventions. Linux and friends
+ *   get the XDG Base Directory locations, honoring the XDG_*_HOME variables
+ *   when they hold absolute paths like the spec demands. MacOS gets the
+ *   matching folders under ~/Library, and Windows gets APPDATA for things
+ *   that should roam with the user and LOCALAPPDATA for everything else.
+ */
+function resolvePersistentLocation(kind, programName, vendor){
+	const homedir = os.homedir();
+	const platform = os.platform();
+	const owner = vendor ? [vendor, programName] : [programName];
+	const fromHome = (...parts) => homedir ? path.join(homedir, ...parts) : null;
+
+	if (platform === 'win32') {
+		// Winderps has to be the only one to break the Posix standard...
+		const roaming = process.env.APPDATA || fromHome('AppData', 'Roaming');
+		const local = process.env.LOCALAPPDATA || fromHome('AppData', 'Local');
+		const base = { data: roaming, config: roaming, cache: local, state: local }[kind];
+		const folder = { data: 'Data', config: 'Config', cache: 'Cache', state: 'State' }[kind];
+
+		return base && path.join(base, ...owner, folder);
+	}
+	else if (platform === 'darwin') { // MAC OS
+		const library = {
+			data: ['Library', 'Application Support'],
+			config: ['Library', 'Preferences'],
+			cache: ['Library', 'Caches'],
+			state: ['Library', 'Application Support'],
+		}[kind];
+		const location = fromHome(...library, ...owner);
+
+		// There's no state folder on MacOS, so keep it apart from the data.
+		return location && kind === 'state' ? path.join(location, 'State') : location;
+	}
+	else { /* LINUX, ANDROID, SUNOS */
+		const [variable, fallback] = {
+			data: ['XDG_DATA_HOME', '.local/share'],
+			config: ['XDG_CONFIG_HOME', '.config'],
+			cache: ['XDG_CACHE_HOME', '.cache'],
+			state: ['XDG_STATE_HOME', '.local/state'],
+		}[kind];
+		const base = path.isAbsolute(process.env[variable] || '')
+			? process.env[variable]
+			: fromHome(fallback);
+
+		return base && path.join(base, ...owner);
+	}
+}
+
+/**
+ * @package
+ * @summary - creates the persistent data store using the identity provided.
+ * @param {object} [options] - The store identity options.
+ * @param {string} [options.kind="data"] - What the store holds; "data" for
+ *   things that should be kept and backed up, "config" for settings, "cache"
+ *   for things that can be regenerated and "state" for things like history
+ *   and logs that should survive restarts but not be backed up.
+ * @param {string} [options.programName] - The program the store belongs to,
+ *   defaults to the name of the running executable.
+ * @param {string} [options.vendor] - Groups the program's stores under its vendor.
+ * @param {boolean} [options.strict=false] - Throw instead of falling back to
+ *   a temporary data store when no persistent location can be found.
+ * @returns {string} - The path of the persistent data store.
+ */
+function getPersistentDataStore(options){
+	const programExtension = path.extname(process.argv0);
+	const programName = path.basename(process.argv0, programExtension);
+
+	const defaults = {
+		// Options passed directly to the getTemporaryDataStore
+		kind: 'data',
+		programName,
+		vendor: null,
+		strict: false,
+		temporaryFallbackOptions:{ programName, attemptRecovery: true },
+	};
+
+	// Assign default arguments, overwrite them with passed options.
+	options = Object.assign(defaults, options);
+	if (options.programName == null) options.programName = programName;
+
+	if ( ! ['data', 'config', 'cache', 'state'].includes(options.kind) )
+		throw Error(`Unknown persistent data store kind "${options.kind}".`);
+
+	const identity = [options.kind, options.vendor, options.programName].join('\0');
+	if (persistentDataStores.has(identity))
+		return persistentDataStores.get(identity);
+
+	const resultPath = resolvePersistentLocation(options.kind, options.programName, options.vendor);
+
+	if (resultPath == null) {
+		// TODO: improve this error reporting with an error type instantiator
+		//   that will improve the available methods for error handling.
+		if (options.strict)
+			throw Error("Could not find the persistent Data Store.");
+
+		// As a fallback, if for some reason we can't find the persistent
+		// data store, use the temporary one instead. (only when strict is disabled)
+		const fallback = getTemporaryDataStore(options.temporaryFallbackOptions);
+		persistentDataStores.set(identity, fallback);
+		return fallback;
+	}
+
+	fs.mkdirSync(resultPath, { recursive: true });
+	persistentDataStores.set(identity, resultPath);
+	return resultPath;
+}
+
+/**
+ * @public
+ * @function envRef
+ * @param {string} name - The Environment Variable name spelled as it is natively.
+ * @param {(string|null)} [realName=null] - Overrides the name of the Environment Variable natively.
+ * @param {(string|null)} [initializer=""] - A default value for the variable when it's unset.
+ * @param {object} [options] - Extra options for the variable, the same as
+ *   linkEnvironmentVariable takes.
+ * @returns {object} - A handle with the variable's "name" and "realName",
+ *   and "get", "set", "reset", "delete" and "subscribe" functions.
+ * @throws {TypeError} - When the variable's value can't be read or written
+ *   as the requested type. The message names the offending variable.
+ *
+ * @description - Works like linkEnvironmentVariable, but hands back the
+ *   variable instead of defining it on a scope. "reset" puts the initializer
+ *   back, "delete" unsets the variable and "subscribe" calls the listener
+ *   with the "name", "oldValue" and "newValue" whenever a handle to the same
+ *   variable changes it, returning a function that unsubscribes. The handle
+ *   reads the variable wherever a primitive is expected.
+ *
+ * @example <caption>Using a handle.</caption>
+ *   // Natively "PORT=8080"
+ *   const port = envRef("port", null, 3000, { type: "number" });
+ *   console.log(port.get()); // prints 8080
+ *   console.log(port + 1); // prints 8081
+ *   console.log(`:${port}`); // prints ":8080"
+ *
+ *   const unsubscribe = port.subscribe(({ newValue }) => console.log(newValue));
+ *   port.set(9090); // prints 9090
+ *   port.reset(); // prints 3000
+ *   unsubscribe();
+ */
+function envRef(name, realName, initializer, options){
+
+	if ( name && name.length == null )
+		throw Error(`"name" argument cannot be empty.`);
+
+	if ( realName && ! realName.length )
+		throw Error(`"realName" argument cannot be empty.`);
+
+	options = Object.assign({ type: "string", separator: ",", interpolate: false }, options);
+	const type = resolveEnvironmentType(options.type);
+	const lookup = (variable) => process.env[variable];
+
+	// Typed variables are left unset instead of defaulting to an empty string,
+	// since an empty string is rarely a valid value for them.
+	if (initializer == null && type === environmentTypes.string)
+		initializer = "";
+
+	if (realName == null) {
+		if (name.match(/(?:[\da-z]+)(?:[A-Z][\da-z]+)*/g)[0] === name){
+			// Try parsing as camelCase for TypeScript and JavaScript
+			realName = name.replace(/([A-Z])/g, "_$1").toUpperCase();
+		}
+		else {
+			// Try parsing as snake_case for CoffeeScript
+			// Or well... if a CoffeeScript user likes python and uses snake_case;
+			// since I just learned CoffeeScript uses camelCase standard too...
+			realName = name.toUpperCase();
+		}
+	}
+
+	// Every handle to the same variable hears about changes made through the others.
+	if ( ! environmentWatchers.has(realName) ) environmentWatchers.set(realName, new Set());
+	const watchers = environmentWatchers.get(realName);
+
+	const read = (raw) => {
+		// Unset variables stay undefined regardless of their type.
+		if ( raw === undefined ) return raw;
+		if ( options.interpolate ) raw = expandEnvironmentValue(raw, lookup, [realName]);
+
+		return type.parse(raw, realName, options);
+	};
+
+	const write = (raw) => {
+		const previous = process.env[realName];
+
+		// Assigning undefined to process.env would store "undefined".
+		if ( raw === undefined ) delete process.env[realName];
+		else process.env[realName] = raw;
+
+		if ( previous !== raw )
+			for (const watcher of Array.from(watchers)) watcher(previous, raw);
+	};
+
+	const reference = createReference(name, {
+		get: () => read(process.env[realName]),
+		set: (value) => write(type.serialize(value, realName, options)),
+		reset: () => write(initializer == null ? undefined : type.serialize(initializer, realName, options)),
+		delete: () => write(undefined),
+		subscribe: (listener) => addSubscriber(watchers, (oldRaw, newRaw) => {
+			listener({ name, oldValue: read(oldRaw), newValue: read(newRaw) });
+		}),
+	}, { realName });
+
+	// Check the raw value so a malformed variable only throws once it's read.
+	if (process.env[realName] == null && initializer != null)
+		reference.set(initializer);
+
+	return reference;
+}
+
+/**
+ * @public
+ * @function linkEnvironmentVariable
+ * @param {string} name - The Environment Variable name spelled as it is natively.
+ * @param {(string|null)} [realName=null] - Overrides the name of the Environment Variable natively.
+ * @param {(string|null)} [initializer=""] - A default value for the variable when it's unset.
+ * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
+ * @param {object} [options] - Extra options for the binding.
+ * @param {(string|object)} [options.type="string"] - How the variable's value
+ *   is parsed when read and serialized when set. One of "string", "number",
+ *   "boolean", "list", "json" or "url"; or an object with your own "parse"
+ *   and "serialize" functions.
+ * @param {string} [options.separator=","] - The item separator for "list" types.
+ * @param {boolean} [options.interpolate=false] - Whether "${VAR}",
+ *   "${VAR:-default}" and "${VAR:?error}" references inside the value are
+ *   expanded when it's read. "$$" reads as a literal "$".
+ * @throws {TypeError} - When the variable's value can't be read or written
+ *   as the requested type. The message names the offending variable.
+ * @throws {Error} - When interpolated references form a cycle or a required
+ *   reference is unset.
+ * @returns {string} - The real name of the variable.
+ *
+ * @description Defines a cross-platform way to work with environment
+ *   variables. Naturally in the browser, said environment variables
+ *   are non-existent by default, This makes it easy to keep an API convention
+ *   between both platforms. Removes the NodeJS scope nonsense that makes
+ *   refferencing them a small pain. For convention adhearence, by default
+ *   "realName" is unset, and will be deduced by the API upon definition
+ *   based on your variable name assignment. At the moment only camelCase
+ *   and snake_case are supported this way since they're the most common
+ *   variable naming conventions regardless of the fact that Javascript's
+ *   style guide recommends camelCase for special use cases such as
+ *   in CoffeeScript. Environment Variables are assumed to be case insensitive
+ *   by default and are bouund to their UPPERCASE counterparts for
+ *   legacy / DOS support since most native Environment Variables in Linux
+ *   also follow this convention but this can be overriden by passing the
+ *   realName argument. Also supports the "scope" argument which works the
+ *   same as in "createCachedVariable". The binding is made from the handle
+ *   envRef returns, so the two always agree.
+ *
+ * @example <caption>Example binding assignment.</caption>
+ *   // Links the environment variable "LD_LIBRARY_PATH" to ldLibraryPath
+ *   // Natively this variable is set to "LD_LIBRARY_PATH=/usr/lib/libsomelib.so"
+ *   linkEnvironmentVariable("ldLibraryPath");
+ *   console.log(ldLibraryPath); // prints "/usr/lib/libsomelib.so"
+ *   // or
+ *   linkEnvironmentVariable("ld_library_path");
+ *   console.log(ld_library_path); // prints "/usr/lib/libsomelib.so"
+ *
+ *   // Note that in the browser this would print the default initializer
+ *   // since the browser doesn't have a default environment exchange.
+ *   console.log(ldLibraryPath);// from the browser prints ""
+ *
+ * @example <caption>Typed environment variables.</caption>
+ *   // Natively "PORT=8080", "DEBUG=yes" and "ALLOWED_HOSTS=a.com, b.com"
+ *   linkEnvironmentVariable("port", null, 3000, null, { type: "number" });
+ *   linkEnvironmentVariable("debug", null, false, null, { type: "boolean" });
+ *   linkEnvironmentVariable("allowedHosts", null, [], null, { type: "list" });
+ *   console.log(port + 1); // prints 8081
+ *   console.log(debug); // prints true
+ *   console.log(allowedHosts); // prints [ 'a.com', 'b.com' ]
+ *
+ *   port = 9090; // serialized back into the environment as "9090"
+ *   port = "nope"; // throws TypeError naming "PORT"
+ *
+ * @example <caption>Interpolated environment variables.</caption>
+ *   // Natively "DATA_DIR=${HOME}/.myapp" and "URL=http://${HOST:-localhost}:${PORT}"
+ *   linkEnvironmentVariable("dataDir", null, null, null, { interpolate: true });
+ *   linkEnvironmentVariable("url", null, null, null, { interpolate: true, type: "url" });
+ *   console.log(dataDir); // prints "/home/ruby/.myapp"
+ *   console.log(url.host); // prints "localhost:8080"
+ */
+function linkEnvironmentVariable(name, realName, initializer, scope, options){
+	if (scope == null) scope = superglobal; // No target scope? Use global!
+
+	const reference = envRef(name, realName, initializer, options);
+	Object.defineProperty(scope, name, { get: reference.get, set: reference.set });
+
+	return reference.realName;
+}
+
+/**
+ * @public
+ * @function defineEnvironment
+ * @param {object} schema - Maps each binding name to its definition.
+ * @param {(string|null)} [schema.name.realName=null] - Overrides the name of the Environment Variable natively.
+ * @param {(string|object)} [schema.name.type="string"] - The variable type, see linkEnvironmentVariable.
+ * @param {*} [schema.name.default] - A default value for the variable when it's unset.
+ * @param {boolean} [schema.name.required=false] - Whether the variable must be set.
+ * @param {string} [schema.name.description] - A human description used in error reports.
+ * @returns {object} - An object with every variable in the schema bound to it.
+ * @throws {EnvironmentValidationError} - When any of the variables are
+ *   missing or malformed. Every problem is listed, not just the first, and
+ *   none of the defaults are left in the environment.
+ *
+ * @description - Declares a whole environment at once. Each entry in the
+ *   schema is linked with linkEnvironmentVariable onto a fresh object instead
+ *   of the superglobal, then read back immediately so missing and malformed
+ *   variables are found at startup instead of whenever some code path
+ *   happens to touch them. Any other options in a definition, like
+ *   "separator", are passed straight through to linkEnvironmentVariable.
+ *
+ * @example <caption>Validating the environment at startup.</caption>
+ *   const config = defineEnvironment({
+ *     port: { type: "number", default: 8080, description: "HTTP port" },
+ *     databaseUrl: { type: "url", required: true },
+ *     allowedHosts: { type: "list", default: [] },
+ *   });
+ *
+ *   console.log(config.port); // prints 8080 unless PORT is set
+ */
+function defineEnvironment(schema){
+	return bindEnvironmentSchema(linkEnvironmentVariable, schema, process.env);
+}
+
+/**
+ * @public
+ * @function loadEnvironment
+ * @param {string} text - The contents of a dotenv style file.
+ * @param {object} [options] - Extra options for loading.
+ * @param {boolean} [options.override=false] - Whether loaded values replace
+ *   variables that are already set in the environment.
+ * @returns {object} - Every variable parsed from the text.
+ *
+ * @description - Parses dotenv style text and copies the variables into
+ *   process.env. By default, variables that are already set win over the
+ *   loaded ones so the real environment can still override a checked in
+ *   file. Quoting, multiline values, "export" prefixes and comments all
+ *   work the same way they do in the dotenv package.
+ */
+function loadEnvironment(text, options){
+	options = Object.assign({ override: false }, options);
+	const parsed = parseEnvironmentFile(text);
+
+	for (const [realName, value] of Object.entries(parsed))
+		if ( options.override || process.env[realName] === undefined )
+			process.env[realName] = value;
+
+	return parsed;
+}
+
+/**
+ * @public
+ * @function loadEnvironmentFile
+ * @param {string} [location=".env"] - The path of the file to load.
+ * @param {object} [options] - Extra options for loading, see loadEnvironment.
+ * @param {string} [options.encoding="utf8"] - The file's text encoding.
+ * @returns {object} - Every variable parsed from the file.
+ *
+ * @description - Reads a dotenv file from disk and loads it into
+ *   process.env with loadEnvironment. This happens synchronously so it can
+ *   be done before any other module links its variables.
+ *
+ * @example <caption>Loading a .env file before linking.</caption>
+ *   // .env contains "PORT=8080"
+ *   loadEnvironmentFile();
+ *   linkEnvironmentVariable("port", null, 3000, null, { type: "number" });
+ *   console.log(port); // prints 8080
+ */
+function loadEnvironmentFile(location, options){
+	if ( location == null ) location = ".env";
+	options = Object.assign({ encoding: "utf8" }, options);
+
+	return loadEnvironment(fs.readFileSync(location, options.encoding), options);
+}
+
+
+/**
+ * @public
+ * @function configureCache
+ * @param {object} [options] - The store wide cache settings.
+ * @param {number} [options.ttl] - How long in milliseconds cached variables live after being written.
+ * @param {number} [options.maxEntries] - How many cached variables each rhetorical can hold.
+ * @param {number} [options.maxBytes] - How large the cached variables in each rhetorical can get.
+ * @param {string} [options.storage] - The rhetorical for cached variables that don't pick their own, see createCachedVariable.
+ * @param {(string|null)} [options.namespace] - The namespace for cached variables that don't pick their own.
+ */
+function configureCache(options){
+	Object.assign(cacheSettings, options);
+
+	// New limits should apply right away instead of on the next write.
+	for (const { rhetorical } of cacheRhetoricals.values())
+		rhetorical.limit(cacheSettings);
+}
+
+/**
+ * @public
+ * @function flushCachedVariables
+ * @returns {Promise} - Resolves once every cached variable is saved.
+ *
+ * @description - Cached variables are saved in the background right after
+ *   they're written. Wait for this before exiting the process, or removing
+ *   the data store, so none of those saves get cut short.
+ */
+async function flushCachedVariables(){
+	await Promise.all(Array.from(cacheRhetoricals.values(), ({ rhetorical }) => rhetorical.flush()));
+}
+
+/**
+ * @package
+ * @summary - Works out which program is running, for cached variables
+ *   that don't name one.
+ * @returns {string} - The name of the nearest package holding the entry
+ *   script, or the entry script's own name when it's not in one.
+ * @throws {Error} - When there's no entry script, like in the REPL.
+ *
+ * @description - The executable's name is "node" for nearly everyone, and
+ *   would put every program's cached variables in the same store.
+ */
+function findProgramName(){
+	const entry = require.main != null ? require.main.filename : process.argv[1];
+	if ( ! entry ) throw Error(`Can't tell which program is running, cached variables need a 'programName'.`);
+
+	for (let directory = path.dirname(path.resolve(entry)); ; directory = path.dirname(directory)) {
+		try {
+			const { name } = JSON.parse(fs.readFileSync(path.join(directory, "package.json"), "utf8"));
+			// Scoped names would otherwise make a folder per scope.
+			if (typeof name === "string" && name.length) return name.replace(/^@/, "").replace(/\//g, "-");
+		}
+		catch (err) {
+			// No package here, or not one we can read; keep looking.
+		}
+
+		if (path.dirname(directory) === directory) break;
+	}
+
+	return path.basename(entry, path.extname(entry));
+}
+
+/**
+ * @package
+ * @summary - Finds the rhetorical cached variables are kept in, creating it
+ *   the first time it's needed.
+ * @param {object} options - The variable's options, see createCachedVariable.
+ * @returns {object} - The "rhetorical" and the "variables" bound to it by name.
+ */
+function getCacheRhetorical(options){
+	if ( ! ["persistent", "temporary"].includes(options.storage) )
+		throw Error(`Unknown cache storage "${options.storage}".`);
+
+	let dataStore = options.dataStore;
+	if (dataStore == null) {
+		// Otherwise a restart would never find what we cached before it.
+		const recovery = { programName: options.programName || findProgramName(), attemptRecovery: true };
+
+		dataStore = options.storage === "persistent"
+			? getPersistentDataStore({
+				kind: options.kind,
+				programName: recovery.programName,
+				vendor: options.vendor,
+				temporaryFallbackOptions: recovery,
+			})
+			: getTemporaryDataStore(recovery);
+	}
+
+	const name = options.namespace == null ? "variable-irony" : `variable-irony.${options.namespace}`;
+	const location = path.join(dataStore, name);
+	if (cacheRhetoricals.has(location)) return cacheRhetoricals.get(location);
+
+	const Type = options.storage === "persistent" ? PersistentRhetorical : TemporaryRhetorical;
+	const rhetorical = new Type(name, {
+		dataStore,
+		saveFrequency: "on-write",
+		watch: options.watch,
+		ttl: cacheSettings.ttl,
+		maxEntries: cacheSettings.maxEntries,
+		maxBytes: cacheSettings.maxBytes,
+	});
+
+	// Temporary rhetoricals only load what they recovered.
+	if (options.storage === "temporary") rhetorical.loadSync();
+
+	const cache = { rhetorical, variables: new Map() };
+	cacheRhetoricals.set(location, cache);
+
+	rhetorical.on("expiring-irony", (key, value) => {
+		const variable = cache.variables.get(key);
+
+		/**
+		 * @event ldExpire
+		 * @type {object}
+		 * @property {string} name - The variable name that expired.
+		 * @property {*} value - The value that expired.
+		 */
+		if (variable != null) dispatchVariableEvent(variable, "ldExpire", { name: key, value });
+	});
+
+	rhetorical.on("evicting-irony", (key) => {
+		const variable = cache.variables.get(key);
+
+		/**
+		 * @event ldEvict
+		 * @type {object}
+		 * @property {string} name - The variable name that was evicted.
+		 */
+		if (variable != null) dispatchVariableEvent(variable, "ldEvict", { name: key });
+	});
+
+	rhetorical.on("changing-irony", (key, oldValue, newValue) => {
+		const variable = cache.variables.get(key);
+		const resolve = (value) => value === undefined ? variable.initializer : value;
+
+		if (variable != null) announceCacheChange(variable, {
+			name: key,
+			oldValue: resolve(oldValue),
+			newValue: resolve(newValue),
+			origin: "external",
+		});
+	});
+
+	return cache;
+}
+
+/**
+ * @package
+ * @summary - Records the schema version a cached variable was stored with.
+ * @param {object} rhetorical - The rhetorical holding the variable.
+ * @param {string} name - The variable name.
+ * @param {number} version - The schema version.
+ */
+function writeCachedVersion(rhetorical, name, version){
+	// The versions live in the file's metadata so they're saved along with the values.
+	const versions = rhetorical._meta.variables = rhetorical._meta.variables || {};
+
+	if (version > 0) versions[name] = version;
+	else delete versions[name];
+}
+
+/**
+ * @package
+ * @summary - Migrates a cached variable's stored value to the schema version
+ *   it was created with.
+ * @param {object} rhetorical - The rhetorical holding the variable.
+ * @param {object} variable - The variable to migrate.
+ * @throws {MigrationError} - When the stored value is newer than the
+ *   schema, or a migration fails.
+ * @fires scope#ldMigrate
+ */
+function upgradeCachedVariable(rhetorical, variable){
+	const { name, schema } = variable;
+	if ( ! (name in rhetorical.store) ) return;
+
+	const versions = rhetorical._meta.variables || {};
+	const stored = versions[name] || 0;
+	if (stored === schema.version) return;
+
+	const value = migrateValue(JSON.parse(JSON.stringify(rhetorical.store[name])), stored, schema, `Cached variable "${name}"`);
+	writeCachedVersion(rhetorical, name, schema.version);
+	rhetorical.store[name] = value;
+
+	/**
+	 * @event ldMigrate
+	 * @type {object}
+	 * @property {string} name - The variable name that was migrated.
+	 * @property {number} from - The schema version it was stored with.
+	 * @property {number} to - The schema version it was migrated to.
+	 */
+	dispatchVariableEvent(variable, "ldMigrate", { name, from: stored, to: schema.version });
+}
+
+/**
+ * @package
+ * @summary - Dispatches one of our events to a scope, if it can take them.
+ * @param {(object|null)} scope - The scope a cached variable is bound to.
+ * @param {string} type - The event type.
+ * @param {object} detail - The event detail.
+ *
+ * @description - EventTarget scopes get a CustomEvent like they would in
+ *   the browser, and EventEmitter scopes get the detail by itself. NodeJS
+ *   only has CustomEvent since v19, before that the EventTarget gets a
+ *   plain Event with the detail added on. Versions without Event at all
+ *   can't have a real EventTarget, so scopes there need to be EventEmitters.
+ */
+function dispatchCacheEvent(scope, type, detail){
+	// Handles from cachedRef may not have a scope at all.
+	if (scope == null) return;
+
+	if (typeof scope.dispatchEvent === "function" && typeof CustomEvent === "function")
+		scope.dispatchEvent(new CustomEvent(type, { detail }));
+	else if (typeof scope.dispatchEvent === "function" && typeof Event === "function")
+		scope.dispatchEvent(Object.assign(new Event(type), { detail }));
+	else if (typeof scope.emit === "function")
+		scope.emit(type, detail);
+}
+
+/**
+ * @package
+ * @summary - Dispatches one of our events to every scope bound to a cached variable.
+ * @param {object} variable - The cached variable the event is about.
+ * @param {string} type - The event type.
+ * @param {object} detail - The event detail.
+ */
+function dispatchVariableEvent(variable, type, detail){
+	for (const scope of Array.from(variable.scopes)) dispatchCacheEvent(scope, type, detail);
+}
+
+/**
+ * @package
+ * @summary - Tells the scopes and every subscriber that a cached variable changed.
+ * @param {object} variable - The cached variable that changed.
+ * @param {object} detail - The ldChange event detail.
+ * @fires scope#ldChange
+ */
+function announceCacheChange(variable, detail){
+	dispatchVariableEvent(variable, "ldChange", detail);
+	for (const subscriber of Array.from(variable.subscribers)) subscriber(detail);
+}
+
+/**
+ * @public
+ * @function cachedRef
+ * @param {string} name - The new variable name.
+ * @param {*} initializer - A json serializable value for the variable when it's unset.
+ * @param {object} [options] - Extra options for the variable, the same as
+ *   createCachedVariable takes.
+ * @param {object} [options.scope=null] - Where the variable's events are
+ *   dispatched, if anywhere. Changes, expiries, evictions and migrations
+ *   go to the scopes of every handle to the same variable.
+ * @returns {object} - A handle with the variable's "name", and "get", "set",
+ *   "reset", "delete" and "subscribe" functions.
+ * @throws {MigrationError} - When the stored value is newer than "version", or a migration fails.
+ *
+ * @description - Works like createCachedVariable, but hands back the
+ *   variable instead of defining it on a scope. "reset" stores the
+ *   initializer again, "delete" forgets the stored value and "subscribe"
+ *   calls the listener with the ldChange event detail, returning a function
+ *   that unsubscribes. The handle reads the variable wherever a primitive
+ *   is expected.
+ *
+ * @example <caption>Using a handle.</caption>
+ *   const visits = cachedRef("visits", 0);
+ *   visits.set(visits + 1);
+ *   console.log(`${visits} visits`); // prints "1 visits"
+ *
+ *   // Restart the program
+ *   console.log(visits.get()); // prints 1
+ */
+function cachedRef(name, initializer, options){
+	/***
+	 * Test for required variables and type constraints,
+	 * throwing errors when necessary.
+	 */
+	if ( ! name.length ) throw Error(`'name' argument cannot be empty.`);
+	if ( initializer === undefined ) initializer = null;
+
+	options = Object.assign({
+		scope: null,
+		ttl: null,
+		kind: "cache",
+		watch: true,
+		storage: cacheSettings.storage,
+		namespace: cacheSettings.namespace,
+	}, options);
+
+	const scope = options.scope;
+	const { rhetorical, variables } = getCacheRhetorical(options);
+	const { store } = rhetorical;
+	// Handles to the same variable share subscribers and scopes, so they all
+	// hear about changes whichever handle made them.
+	const existing = variables.get(name);
+	const variable = {
+		name,
+		initializer,
+		schema: resolveSchema(options),
+		scopes: existing == null ? new Set() : existing.scopes,
+		subscribers: existing == null ? new Set() : existing.subscribers,
+	};
+	if (scope != null) variable.scopes.add(scope);
+	variables.set(name, variable);
+
+	// Older values are upgraded up front, so a newer one fails right away.
+	upgradeCachedVariable(rhetorical, variable);
+
+	// said variable will contain the standard getter and setter pair
+	const set = (value) => {
+		// Going through JSON keeps values the same shape they'd have in the browser.
+		const serialized = JSON.stringify(value);
+		// Peeking at the context directly so a stale value isn't expired mid write.
+		const previous = name in rhetorical._context ? JSON.stringify(rhetorical._context[name]) : null;
+
+		writeCachedVersion(rhetorical, name, variable.schema.version);
+		store[name] = serialized === undefined ? null : JSON.parse(serialized);
+		if ( options.ttl != null ) rhetorical.expire(name, options.ttl);
+
+		/**
+		 * @event ldWrite
+		 * @type {object}
+		 * @property {string} name - The variable name the value is assigned to.
+		 * @property {*} value - The value of the variable being saved.
+		 * @description Dispatched to the container object whenever the cache is
+		 *   written to.
+		 */
+		dispatchCacheEvent(scope, "ldWrite", { name, value });
+
+		/**
+		 * @event ldChange
+		 * @type {object}
+		 * @property {string} name - The variable name that changed.
+		 * @property {*} oldValue - The value before.
+		 * @property {*} newValue - The value after.
+		 * @property {string} origin - "local" for changes made here, "external" for other processes.
+		 */
+		// Unset variables read as the initializer, so storing it isn't a change.
+		const before = previous === null ? JSON.stringify(initializer) : previous;
+		if ( before !== serialized ) announceCacheChange(variable, {
+			name,
+			oldValue: previous === null ? initializer : JSON.parse(previous),
+			newValue: value,
+			origin: "local",
+		});
+	};
+
+	const get = () => {
+		// Another process may have saved an older version since we checked.
+		if ( options.version != null ) upgradeCachedVariable(rhetorical, variable);
+
+		// Reading through the store expires the value if it's stale.
+		const stored = store[name];
+		const value = stored === undefined ? initializer : JSON.parse(JSON.stringify(stored));
+
+		/**
+		 * @event ldRead
+		 * @type {object}
+		 * @property {string} name - The variable name the value is assigned to.
+		 * @property {*} value - The value of the variable being loaded.
+		 * @property {boolean} [pending] - Browser only, true when the read came
+		 *   before an asynchronous backend like IndexedDB finished loading, so
+		 *   the value may just be the initializer.
+		 * @description Dispatched to the container object whenever the cache is
+		 *   read from.
+		 */
+		dispatchCacheEvent(scope, "ldRead", { name, value });
+		return value;
+	};
+
+	// Deleting forgets the stored value, so the variable reads as its initializer again.
+	const remove = () => {
+		if ( ! (name in rhetorical._context) ) return;
+		const previous = JSON.stringify(rhetorical._context[name]);
+
+		writeCachedVersion(rhetorical, name, 0);
+		delete store[name];
+
+		if ( previous !== JSON.stringify(initializer) ) announceCacheChange(variable, {
+			name,
+			oldValue: JSON.parse(previous),
+			newValue: initializer,
+			origin: "local",
+		});
+	};
+
+	const reference = createReference(name, {
+		get,
+		set,
+		reset: () => set(initializer),
+		delete: remove,
+		subscribe: (listener) => addSubscriber(variable.subscribers, listener),
+	});
+
+	// finally, we set our initial value for the variable if we have one.
+	if (initializer !== null && ! (name in store))
+		set(initializer);
+
+	return reference;
+}
+
+
+/**
+ * @public
+ * @function createCachedVariable
+ * @param {string} name - The new variable name.
+ * @param {*} initializer - A json serializable value for the variable when it's unset.
+ * @param {object} [scope=superglobal] - The scope in which the variable will be defined.
+ * @param {object} [options] - Extra options for the variable.
+ * @param {string} [options.storage="persistent"] - Keep the value in a
+ *   "persistent" rhetorical, or a "temporary" one that lasts until the
+ *   operating system is rebooted. Defaults to the storage set with configureCache.
+ * @param {string} [options.kind="cache"] - Which kind of persistent data store to use, see getPersistentDataStore.
+ * @param {string} [options.programName] - The program the data store belongs to.
+ *   Defaults to the name in the package.json nearest the entry script, or
+ *   the entry script's name.
+ * @param {string} [options.vendor] - The vendor of the program, if any.
+ * @param {string} [options.dataStore] - Overrides the data store directory.
+ * @param {(string|null)} [options.namespace] - Keeps the value in its own
+ *   ".irony" file. Defaults to the namespace set with configureCache.
+ * @param {boolean} [options.watch=true] - Pick up values other processes
+ *   cache, see Rhetorical.watch.
+ * @param {number} [options.ttl] - How long in milliseconds the value lives after being written.
+ * @param {number} [options.version=0] - The schema version of the stored value.
+ * @param {(object|Map)} [options.migrations] - Maps each schema version to a function upgrading the value from the version before.
+ * @throws {MigrationError} - When the stored value is newer than "version", or a migration fails.
+ * @fires scope#ldWrite
+ * @fires scope#ldRead
+ * @fires scope#ldExpire
+ * @fires scope#ldEvict
+ * @fires scope#ldMigrate
+ * @fires scope#ldChange
+ *
+ * @description - Simplifies the process of reading and setting saved variables
+ *   by creating a custom variable type that when accessed refferences
+ *   a LocalStorage held item when in the browser, or a json cached
+ *   item in NodeJS. Note that the two events this function is registered to
+ *   fire are actually fired when the respective variable is set and retrieved.
+ *   Said events are fired from the scope the variable is attatched to.
+ *   So don't get any bright ideas and think you can catch the event from
+ *   the variable itself. Because that would be dumb. In both instances,
+ *   variables stored are serialized as json objects so function assignment
+ *   will not work. In NodeJS, the scope can be an EventTarget or an
+ *   EventEmitter; the latter is passed the event detail by itself. The
+ *   binding is made from the handle cachedRef returns.
+ *
+ * @example <caption>Example global variable assignment.</caption>
+ *   // Creates a saved variable in the global scope by the name of "kip".
+ *   createCachedVariable("kip", false);
+ *   console.log(kip); // prints "false";
+ *
+ * @example <caption>Example of variable assignment within an object scope.</caption>
+ *   // Create the scope in which we want the variable stored.
+ *   const container = {};
+ *   // ...
+ *   createCachedVariable("kip", true, container);
+ *   console.log(container.kip); // prints "true";
+ *
+ * @example <caption>Setting the persistent variable and proof.</caption>
+ *   // Simply assign a value to the variable
+ *   kip = "A string full of things that makes me sing!"
+ *   console.log(kip); // A string full of ...
+ *
+ *   // Restart the program
+ *   console.log(kip); // A string full of ...
+ */
+function createCachedVariable(name, initializer, scope, options){
+	if ( scope == null ) scope = superglobal; // No target scope? Use global!
+
+	const reference = cachedRef(name, initializer, Object.assign({}, options, { scope }));
+	Object.defineProperty(scope, name, { get: reference.get, set: reference.set });
+}
+
+/**
+ * @public
+ * @function IronicEnvironment
+ * @param {object} defaults - An object containing values to be garranteed
+ *   set in the global environment upon initialization.
+ *
+ * @description - A proxy scope generator for environment variables.
+ *   Initially, we were planning on making this more fully featured, with added
+ *   support for environment encapsulation and other "usefull" things. But we
+ *   realized that the only current use for an operating environment is at the
+ *   operating system level, there's no use for it in the browser currently.
+ *   So now, this API feature is implemented as a platform independent way of
+ *   accessing and modifying environment variables.
+ */
+class IronicEnvironment {
+	constructor(defaults) {
+		if (typeof defaults !== "object")
+			throw Error(`Expected 'defaults' object be of type 'object' but got '${typeof defaults}.'`);
+
+		// Sanitize the defaults so they comply with environment variable standards;
+		for ( const variable in defaults )
+			if ( process.env[variable] === undefined )
+				process.env[variable] = String(defaults[variable]);
+
+		// Proxies can't be extended, so we hand one back from the constructor.
+		return new Proxy(process.env, {
+			set:(target, property, value) => {
+				// Also sanitize the newly passed variables upon set.
+				target[property] = String(value);
+				return true;
+			},
+			get:(target, property) => {
+				return target[property];
+			}
+		});
+	}
+}
+
+/**
+ * @package
+ * @summary - The array methods that change the array they're called on.
+ */
+const arrayMutators = new Set([
+	"copyWithin", "fill", "pop", "push", "reverse", "shift", "sort", "splice", "unshift"
+]);
+
+/**
+ * @package
+ * @summary - Whether a stored value gets its own proxy for change tracking.
+ * @param {*} value - The stored value.
+ * @returns {boolean} - Whether it's a plain object or an array.
+ *
+ * @description - Dates, Maps, Sets and class instances keep their internal
+ *   slots on the real object, so their methods break when called through a
+ *   proxy. They're left alone; assign them again to record a change.
+ */
+function isTrackable(value){
+	if (value === null || typeof value !== 'object') return false;
+	if (Array.isArray(value)) return true;
+
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * @package
+ * @class Metacommunication
+ * @augments EventEmitter
+ * @fires writing-irony
+ * @fires reading-irony
+ *
+ * @description - The event plumbing behind every rhetorical. "store" is a
+ *   proxy over the context that reports reads and writes, including writes
+ *   to objects and arrays nested anywhere inside of it.
+ */
+class Metacommunication extends EventEmitter {
+	constructor() {
+		super(); // Initialize EventEmitter features
+		this._context = {};
+		this._revoked = false;
+
+		// Nested proxies are cached so the same path always gives the same
+		// object back, and the raw objects are kept so we never store a proxy.
+		this._proxies = new WeakMap();
+		this._targets = new WeakMap();
+
+		this._revocable = Proxy.revocable(this._context, {
+			set:(target, property, value) => {
+				//console.log(`target: ${target}\n property: ${property}\n value: ${value}\nreciever: ${reciever}`);
+				//reciever.dispatchEvent(CacheWriteEvent(property, value));
+				value = this._unwrap(value);
+				target[property] = value;
+				this._afterWrite(property, value);
+				this._written([property], value);
+				return true;
+			},
+			get:(target, property) => {
+				//console.log(`target: ${target}\n property: ${property}\nreciever: ${reciever}`);
+				//reciever.dispatchEvent(CacheReadEvent(property, target[property]));
+				this._beforeRead(property);
+				const value = target[property];
+				this.emit("reading-irony", property, value);
+				return this._wrap(value, [property]);
+			},
+			deleteProperty:(target, property) => {
+				if ( ! Object.prototype.hasOwnProperty.call(target, property) ) return true;
+
+				const value = target[property];
+				delete target[property];
+				this._afterDelete(property);
+				this._deleted([property], value);
+				return true;
+			},
+			defineProperty:(target, property, descriptor) => {
+				// Only values get saved, so getters, setters and descriptors that
+				// only change flags like "enumerable" go straight to the target.
+				if ( ! ('value' in descriptor) ) return Reflect.defineProperty(target, property, descriptor);
+
+				const value = this._unwrap(descriptor.value);
+				if ( ! Reflect.defineProperty(target, property, Object.assign({}, descriptor, { value })) )
+					return false;
+
+				this._afterWrite(property, value);
+				this._written([property], value);
+				return true;
+			},
+			has:(target, property) => {
+				this._beforeInspect(property);
+				const exists = property in target;
+
+				/**
+				 * @event checking-irony
+				 * @type {Array}
+				 * @property {(string|symbol)} key - The key checked for with "in".
+				 * @property {boolean} exists - Whether the store has it.
+				 */
+				this.emit("checking-irony", property, exists);
+				return exists;
+			},
+			ownKeys:(target) => {
+				for (const property of Object.keys(target))
+					this._beforeInspect(property);
+
+				const keys = Reflect.ownKeys(target);
+
+				/**
+				 * @event listing-irony
+				 * @type {Array}
+				 * @property {Array<(string|symbol)>} keys - The keys the store listed.
+				 */
+				this.emit("listing-irony", keys);
+				return keys;
+			},
+			getOwnPropertyDescriptor:(target, property) => {
+				// Object.keys and friends ask for every key, so no event here.
+				this._beforeInspect(property);
+				const descriptor = Reflect.getOwnPropertyDescriptor(target, property);
+
+				// Proxies have to report non-configurable properties exactly
+				// as the target has them, so only the rest get wrapped.
+				if (descriptor != null && 'value' in descriptor && descriptor.configurable)
+					descriptor.value = this._wrap(descriptor.value, [property]);
+				return descriptor;
+			}
+		});
+
+		this.store = this._revocable.proxy;
+	}
+
+	/**
+	 * @summary - Reports a write anywhere in the store.
+	 * @param {Array<(string|symbol)>} path - Where the value was written,
+	 *   starting from the top level key.
+	 * @param {*} value - The value written.
+	 */
+	_written(path, value){
+		/**
+		 * @event writing-irony
+		 * @type {Array}
+		 * @property {(string|symbol)} key - The top level key holding the change.
+		 * @property {*} value - The value written at "path".
+		 * @property {Array<(string|symbol)>} path - The full path of the write,
+		 *   like ["user", "prefs", "theme"] for "store.user.prefs.theme".
+		 */
+		this._unsaved.add(path[0]);
+		this.emit("writing-irony", path[0], value, path);
+	}
+
+	/**
+	 * @summary - Reports a delete anywhere in the store.
+	 * @param {Array<(string|symbol)>} path - Where the value was deleted from,
+	 *   starting from the top level key.
+	 * @param {*} value - The value that was deleted.
+	 */
+	_deleted(path, value){
+		/**
+		 * @event deleting-irony
+		 * @type {Array}
+		 * @property {(string|symbol)} key - The top level key holding the change.
+		 * @property {*} value - The value that was at "path".
+		 * @property {Array<(string|symbol)>} path - The full path of the delete.
+		 */
+		this._unsaved.add(path[0]);
+		this.emit("deleting-irony", path[0], value, path);
+	}
+
+	/**
+	 * @summary - Gets the raw value behind one of our nested proxies.
+	 * @param {*} value - A value about to be stored.
+	 * @returns {*} - The value, minus any proxy around it.
+	 */
+	_unwrap(value){
+		return (value !== null && typeof value === 'object' && this._targets.get(value)) || value;
+	}
+
+	/**
+	 * @summary - Wraps a nested value so writes to it can be reported.
+	 * @param {*} value - The value being read from the store.
+	 * @param {Array<(string|symbol)>} path - Where the value was read from.
+	 * @returns {*} - A proxy for plain objects and arrays, otherwise the value.
+	 */
+	_wrap(value, path){
+		if ( ! isTrackable(value) ) return value;
+
+		// The same object can live in more than one place, so it has a proxy per path.
+		const key = path.map(String).join("\0");
+		let proxies = this._proxies.get(value);
+		if (proxies == null) this._proxies.set(value, proxies = new Map());
+		if (proxies.has(key)) return proxies.get(key);
+
+		const guard = (trap) => {
+			if (this._revoked)
+				throw new TypeError(`Cannot perform '${trap}' on a proxy that has been revoked`);
+		};
+
+		const proxy = new Proxy(value, {
+			set:(target, property, child) => {
+				guard("set");
+				child = this._unwrap(child);
+				target[property] = child;
+				this._afterWrite(path[0], this._context[path[0]]);
+				this._written(path.concat(property), child);
+				return true;
+			},
+			get:(target, property, reciever) => {
+				guard("get");
+				const child = target[property];
+
+				// Array methods would otherwise report every index they touch,
+				// so they're run on the raw array and reported once.
+				if (Array.isArray(target) && arrayMutators.has(property)) {
+					return (...args) => {
+						const result = child.apply(target, args.map((arg) => this._unwrap(arg)));
+						this._afterWrite(path[0], this._context[path[0]]);
+						this._written(path, target);
+						return result === target ? reciever : result;
+					};
+				}
+
+				return this._wrap(child, path.concat(property));
+			},
+			deleteProperty:(target, property) => {
+				guard("deleteProperty");
+				if ( ! Object.prototype.hasOwnProperty.call(target, property) ) return true;
+
+				const child = target[property];
+				delete target[property];
+				this._afterWrite(path[0], this._context[path[0]]);
+				this._deleted(path.concat(property), child);
+				return true;
+			},
+			defineProperty:(target, property, descriptor) => {
+				guard("defineProperty");
+				if ( ! ('value' in descriptor) ) return Reflect.defineProperty(target, property, descriptor);
+
+				const child = this._unwrap(descriptor.value);
+				if ( ! Reflect.defineProperty(target, property, Object.assign({}, descriptor, { value: child })) )
+					return false;
+
+				this._afterWrite(path[0], this._context[path[0]]);
+				this._written(path.concat(property), child);
+				return true;
+			}
+		});
+
+		proxies.set(key, proxy);
+		this._targets.set(proxy, value);
+		return proxy;
+	}
+
+	/**
+	 * @summary - Called by the store right before a property is read.
+	 * @description - Gets the property being read. Does nothing until a
+	 *   subclass needs it.
+	 */
+	_beforeRead() {}
+
+	/**
+	 * @summary - Called by the store right after a property is written.
+	 * @description - Gets the property that was written, and the value
+	 *   written to it. Does nothing until a subclass needs it.
+	 */
+	_afterWrite() {}
+
+	/**
+	 * @summary - Called by the store right after a property is deleted.
+	 * @description - Gets the property that was deleted. Does nothing until
+	 *   a subclass needs it.
+	 */
+	_afterDelete() {}
+
+	/**
+	 * @summary - Called by the store before checking for or listing a
+	 *   property, without counting as a read.
+	 * @description - Gets the property being looked at. Does nothing until
+	 *   a subclass needs it.
+	 */
+	_beforeInspect() {}
+
+	revoke() {
 		// You don't want to be funny the right way!? Well too fuckin' bad!
 		this.emit("revoking-irony");
-		this._revokable.revoke();
+		this._revoked = true;
+		this._revocable.revoke();
+	}
+}
+
+/**
+ * @package
+ * @class Rhetorical
+ * @augments Metacommunication
+ * @param {string} name - The rhetorical's name, used for its ".irony" file.
+ * @param {object} options - Options shared by every kind of rhetorical.
+ * @param {string} options.dataStore - The directory the ".irony" file goes in.
+ * @param {(string|object)} [options.serializer="json"] - The serializer to
+ *   save with, see "serializers".
+ * @param {(number|string|object)} [options.saveFrequency] - When to save
+ *   automatically. Either an interval in milliseconds, "on-write" to save
+ *   at the end of every tick with writes in it, or an object with a "mode"
+ *   of "debounce" or "throttle", a "wait" in milliseconds and an optional
+ *   "maxWait" for debouncing. See flush.
+ * @param {object} [options.lock] - Locking options, see withLock.
+ * @param {(boolean|object)} [options.watch=false] - Reload the rhetorical
+ *   when its file changes, see watch.
+ * @param {number} [options.ttl] - How long in milliseconds keys live after being written.
+ * @param {number} [options.maxEntries] - How many keys the store can hold.
+ * @param {number} [options.maxBytes] - How large the store's values can get in total.
+ * @param {(boolean|number|object)} [options.history=false] - Keep a snapshot
+ *   of each saved version, see snapshots. A number sets the "limit".
+ * @param {number} [options.history.limit=10] - How many snapshots to keep.
+ * @param {string} [options.history.storage="memory"] - Either "memory", or
+ *   "files" to keep numbered snapshot files next to the ".irony" file.
+ * @param {object} [options.encryption] - Encrypt the ".irony" file with
+ *   AES-256-GCM, using one of the keys below. Encrypted rhetoricals refuse
+ *   to load files that aren't encrypted, see DecryptionError.
+ * @param {Buffer} [options.encryption.key] - A 32 byte key.
+ * @param {string} [options.encryption.passphrase] - A passphrase to derive
+ *   the key from with scrypt.
+ * @param {string} [options.encryption.variable] - The real name of an
+ *   environment variable holding the passphrase.
+ * @param {number} [options.version=0] - The schema version of the stored
+ *   data. Older data is migrated when loaded and saved back, and newer data
+ *   is refused with a MigrationError.
+ * @param {(object|Map)} [options.migrations] - Maps each schema version to
+ *   a function that upgrades the store's contents from the version before.
+ *
+ * @description - The shared half of every rhetorical. Ties a
+ *   Metacommunication store to an ".irony" file on disk, which the
+ *   subclasses decide the location of.
+ */
+class Rhetorical extends Metacommunication {
+	constructor(name, options) {
+		super(); // other things
+
+		this._meta = {};
+		this.name = name;
+		this.fileLocation = path.join(options.dataStore, `${this.name}.irony`);
+		this.backupLocation = `${this.fileLocation}.bak`;
+		this.serializer = resolveSerializer(options.serializer);
+		this.saveFrequency = options.saveFrequency;
+		this.lockOptions = options.lock;
+		this.history = resolveHistory(options.history);
+		this.encryption = resolveEncryption(options.encryption);
+		this.schema = resolveSchema(options);
+		if (this.schema.version > 0) this._meta.version = this.schema.version;
+		this._salt = crypto.randomBytes(encryptionSaltLength);
+		this._policy = new CachePolicy(options, this._meta.entries = {});
+
+		this._lockHolder = null;
+		this._lockQueue = Promise.resolve();
+		this._transactionQueue = Promise.resolve();
+		this._history = [];
+		this._historyVersion = null;
+		this._lastSnapshot = null;
+		this._lastSeen = null;
+		this._watcher = null;
+		this._schedule = resolveSaveFrequency(this.saveFrequency);
+		this._iv = null;
+		this._timer = null;
+		this._dirty = false;
+		this._dirtySince = null;
+		this._unsaved = new Set();
+		this._lastFlush = 0;
+		this._flushing = null;
+		this._autosave = () => this.flush().catch((err) => {
+			// Nobody can await automatic saves, so they get an event instead.
+			if ( ! this.emit("failing-irony", err) )
+				console.error(`Saving rhetorical '${this.name}' failed: ${err.message}`);
+
+			this._retrySaving();
+		});
+		this._changed = () => this._markDirty();
+
+		if (this._schedule != null) {
+			this.on("writing-irony", this._changed);
+			this.on("deleting-irony", this._changed);
+
+			// Interval saves shouldn't keep the process alive, call flush before exiting.
+			if (this._schedule.mode === "interval") {
+				this._iv = setInterval(() => { if (this._dirty) this._autosave(); }, this._schedule.wait);
+				this._iv.unref();
+			}
+		}
+
+		if (options.watch)
+			this.watch(typeof options.watch === 'object' ? options.watch : {});
+	}
+
+	/**
+	 * @summary - Reloads the rhetorical whenever its file changes on disk.
+	 * @param {object} [options] - Extra options for watching.
+	 * @param {boolean} [options.poll=false] - Poll the file instead of using
+	 *   fs.watch. Polling is used anyway when fs.watch isn't supported.
+	 * @param {number} [options.interval=1000] - How often to poll in milliseconds.
+	 * @fires changing-irony
+	 *
+	 * @description - Lets the rhetorical notice when another process or a
+	 *   human edits its ".irony" file. The new contents are loaded into the
+	 *   store and a "changing-irony" event is emitted for every key that
+	 *   changed, with the old and the new value. Our own saves are skipped.
+	 *   Keys written here that haven't been saved yet keep their values, and
+	 *   are saved along with the rest of the file's contents next time.
+	 *   Watching doesn't keep the process alive.
+	 */
+	watch(options){
+		if (this._watcher != null) return;
+		options = Object.assign({ poll: false, interval: 1000 }, options);
+
+		let timeout = null;
+		const schedule = () => {
+			// Editors and renames tend to fire a burst of events, so settle first.
+			clearTimeout(timeout);
+			timeout = setTimeout(() => this._reload().catch((err) => {
+				if ( ! this.emit("failing-irony", err) )
+					console.error(`Reloading rhetorical '${this.name}' failed: ${err.message}`);
+			}), 25);
+		};
+
+		if ( ! options.poll ) {
+			try {
+				// Saves replace the file, so we have to watch the directory it's in.
+				// Older versions of NodeJS can't unref watchers, but they all
+				// take "persistent", and nothing after fs.watch can throw.
+				const basename = path.basename(this.fileLocation);
+				const watcher = fs.watch(path.dirname(this.fileLocation), { persistent: false }, (event, filename) => {
+					if (filename == null || filename === basename) schedule();
+				});
+
+				this._watcher = { close: () => { clearTimeout(timeout); watcher.close(); } };
+				return;
+			}
+			catch (err) {
+				// Not every platform or file system supports fs.watch.
+			}
+		}
+
+		const listener = (current, previous) => {
+			if (current.mtimeMs !== previous.mtimeMs || current.ino !== previous.ino) schedule();
+		};
+
+		fs.watchFile(this.fileLocation, { interval: options.interval, persistent: false }, listener);
+		this._watcher = { close: () => { clearTimeout(timeout); fs.unwatchFile(this.fileLocation, listener); } };
+	}
+
+	/**
+	 * @summary - Stops watching the rhetorical's file, see watch.
+	 */
+	unwatch(){
+		if (this._watcher == null) return;
+
+		this._watcher.close();
+		this._watcher = null;
+	}
+
+	/**
+	 * @summary - Loads the file after it changed and reports what's different.
+	 * @returns {Promise<void>} - Resolves once the change events are emitted.
+	 */
+	async _reload(){
+		const raw = await fs.promises.readFile(this.fileLocation).catch(() => null);
+
+		// Deleted files and our own saves don't count as changes.
+		if (raw == null || this._hasSeen(raw)) return;
+
+		await this.withLock(() => this._catchUp());
 	}
-}
 
-/**
- * @public
- * @function TemporaryRhetorical
- *
- * @description - A proxy scope generator for cached data. Used to create
- *   a cache object which will last until the operating system is rebooted.
- */
-class TemporaryRhetorical extends Metacommunication {
-	constructor(name, options) {
-		super(); // other things
+	/**
+	 * @summary - Whether the file contents are what we last loaded or saved.
+	 * @param {Buffer} raw - The file contents.
+	 * @returns {boolean} - Whether nobody else saved since.
+	 */
+	_hasSeen(raw){
+		return this._lastSeen != null && raw.equals(this._lastSeen);
+	}
 
-		// Optional argument permutations.
-		if (options.dataStore == null) {
-			options.dataStore = getTemporaryDataStore({
-				programName: options.programName,
-			});
+	/**
+	 * @summary - Merges what other processes saved into the store, with the
+	 *   lock held.
+	 * @returns {Promise<boolean>} - Resolves with whether anything was loaded.
+	 * @fires changing-irony
+	 *
+	 * @description - Keys written here since the last save keep their
+	 *   values, every other key takes whatever is on disk.
+	 */
+	async _catchUp(){
+		const previous = Object.assign({}, this._context);
+		if ( ! await this._load(true) ) return false;
+
+		const keys = new Set(Object.keys(previous).concat(Object.keys(this._context)));
+		for (const key of keys) {
+			/**
+			 * @event changing-irony
+			 * @type {Array}
+			 * @property {string} key - The key that changed on disk.
+			 * @property {*} oldValue - The key's value before reloading.
+			 * @property {*} newValue - The key's value after reloading.
+			 */
+			if ( ! isEquivalent(previous[key], this._context[key]) )
+				this.emit("changing-irony", key, previous[key], this._context[key]);
 		}
 
-		if (options.serializer == null) {
-			options.serializer = JSON;
+		return true;
+	}
+
+	/**
+	 * @summary - Gives a key its own time to live, starting now.
+	 * @param {string} key - The key to expire.
+	 * @param {(number|null)} ttl - How long in milliseconds the key lives,
+	 *   or null to fall back to the rhetorical's "ttl" option.
+	 */
+	expire(key, ttl){
+		this._policy.write(key, sizeOfValue(this._context[key]), ttl);
+	}
+
+	/**
+	 * @summary - Whether keys need their bookkeeping kept.
+	 * @returns {boolean} - Whether the store is limited.
+	 */
+	_isLimited(){
+		return this._policy.limited || Object.keys(this._policy.entries).length > 0;
+	}
+
+	_beforeRead(property){
+		if (typeof property !== 'string' || ! this._isLimited()) return;
+
+		if ( ! this._expireIfStale(property) )
+			this._policy.touch(property);
+	}
+
+	_beforeInspect(property){
+		// Looking doesn't count as using, so nothing gets touched here.
+		if (typeof property === 'string' && this._isLimited())
+			this._expireIfStale(property);
+	}
+
+	/**
+	 * @summary - Drops a key that outlived its time to live.
+	 * @param {string} property - The key to check.
+	 * @returns {boolean} - Whether the key expired.
+	 */
+	_expireIfStale(property){
+		if ( ! this._policy.isExpired(property) ) return false;
+
+		const value = this._context[property];
+		delete this._context[property];
+		this._policy.remove(property);
+		this._dropped(property);
+
+		/**
+		 * @event expiring-irony
+		 * @type {Array}
+		 * @property {string} key - The key that outlived its time to live.
+		 * @property {*} value - The value it held.
+		 */
+		this.emit("expiring-irony", property, value);
+		return true;
+	}
+
+	/**
+	 * @summary - Changes the store wide limits, evicting whatever no longer fits.
+	 * @param {object} options - Any of the "ttl", "maxEntries" and "maxBytes"
+	 *   options, see the constructor. Set one to null to remove it.
+	 * @fires evicting-irony
+	 */
+	limit(options){
+		for (const limit of ["ttl", "maxEntries", "maxBytes"])
+			if (limit in options) this._policy[limit] = options[limit];
+
+		this._evict();
+	}
+
+	_afterWrite(property, value){
+		if (typeof property !== 'string' || ! this._isLimited()) return;
+
+		this._policy.write(property, sizeOfValue(value));
+		this._evict();
+	}
+
+	/**
+	 * @summary - Removes whatever the cache policy says won't fit.
+	 * @returns {boolean} - Whether anything was evicted.
+	 * @fires evicting-irony
+	 */
+	_evict(){
+		const keys = this._policy.evict();
+
+		for (const key of keys) {
+			const evicted = this._context[key];
+			delete this._context[key];
+			this._dropped(key);
+
+			/**
+			 * @event evicting-irony
+			 * @type {Array}
+			 * @property {string} key - The least recently used key that was evicted.
+			 * @property {*} value - The value it held.
+			 */
+			this.emit("evicting-irony", key, evicted);
 		}
 
-		this.name = name;
-		this.fileLocation = path.join(options.dataStore, `${this.name}.irony`);
-		this.serializer = options.serializer;
-		this.saveFrequency = options.saveFrequency;
+		return keys.length > 0;
+	}
 
-		this._iv = null;
-		const saveFN = this.save.bind(this);
-		if (typeof this.saveFrequency === 'integer') {
-			this._iv = setInterval(saveFN, this.saveFrequency);
-		}
-		else if (typeof this.saveFrequency === 'string') {
-			if (this.saveFrequency === "on-write") {
-				this.on("writing-irony", this.save);
-				this._iv = true;
-			}
+	/**
+	 * @summary - Saves an expired or evicted key like any other delete.
+	 *
+	 * @description - These deletes don't go through the proxy, so they have
+	 *   to be marked by hand, or the next reload would bring the key back.
+	 * @param {string} key - The key that was dropped.
+	 */
+	_dropped(key){
+		this._unsaved.add(key);
+		if (this._schedule != null) this._markDirty();
+	}
+
+	_afterDelete(property){
+		if (typeof property === 'string') this._policy.remove(property);
+	}
+
+	/**
+	 * @summary - Tries an automatic save that failed again later.
+	 *
+	 * @description - Whatever didn't get saved is still dirty, so interval
+	 *   saves pick it up by themselves. The other schedules try again after
+	 *   "wait" milliseconds, or a second for "on-write", unless another write
+	 *   already scheduled a save. Retries don't keep the process alive.
+	 */
+	_retrySaving(){
+		if (this._schedule == null || this._schedule.mode === "interval" || this._timer != null) return;
+
+		const id = setTimeout(this._autosave, this._schedule.wait || 1000);
+		id.unref();
+		this._timer = { type: "timeout", id };
+	}
+
+	/**
+	 * @summary - Cancels the next automatic save, if one is scheduled.
+	 */
+	_clearTimer(){
+		if (this._timer == null) return;
+
+		if (this._timer.type === "immediate") clearImmediate(this._timer.id);
+		else clearTimeout(this._timer.id);
+
+		this._timer = null;
+	}
+
+	/**
+	 * @summary - Remembers there's something to save, and schedules the save.
+	 *
+	 * @description - "on-write" saves wait for the rest of the current tick,
+	 *   so a loop full of writes only saves once. "debounce" waits until
+	 *   there haven't been any writes for "wait" milliseconds, but never
+	 *   longer than "maxWait" after the first one. "throttle" saves at most
+	 *   once every "wait" milliseconds. Interval saves don't need scheduling.
+	 */
+	_markDirty(){
+		const now = Date.now();
+		if ( ! this._dirty ) this._dirtySince = now;
+		this._dirty = true;
+
+		const { mode, wait, maxWait } = this._schedule;
+		let delay = null;
+
+		if (mode === "on-write") {
+			if (this._timer == null)
+				this._timer = { type: "immediate", id: setImmediate(this._autosave) };
+			return;
+		}
+		else if (mode === "debounce") {
+			delay = wait;
+			if (maxWait != null) delay = Math.min(delay, this._dirtySince + maxWait - now);
+			this._clearTimer();
+		}
+		else if (mode === "throttle") {
+			if (this._timer != null) return;
+			delay = this._lastFlush + wait - now;
 		}
 		else {
-			this._iv = false;
+			return;
+		}
+
+		this._timer = { type: "timeout", id: setTimeout(this._autosave, Math.max(0, delay)) };
+	}
+
+	/**
+	 * @summary - Saves any writes that haven't been saved yet.
+	 * @returns {Promise<void>} - Resolves once every pending write is on disk.
+	 *
+	 * @description - Skips the wait on whatever "saveFrequency" scheduled.
+	 *   Call this before the program exits so no writes get lost. When
+	 *   there's nothing new to save it waits for the save already running,
+	 *   if there is one.
+	 *
+	 * @example <caption>Saving before shutting down.</caption>
+	 *   process.on("SIGTERM", async () => {
+	 *     await rhetorical.flush();
+	 *     process.exit(0);
+	 *   });
+	 */
+	flush(){
+		this._clearTimer();
+
+		if (this._dirty) {
+			this._dirty = false;
+			this._dirtySince = null;
+			this._lastFlush = Date.now();
+
+			const flushing = this._flushing = this.save().catch((err) => {
+				// Whatever didn't get saved still needs saving.
+				this._dirty = true;
+				if (this._dirtySince == null) this._dirtySince = Date.now();
+				throw err;
+			});
+
+			flushing.catch(() => {}).then(() => {
+				if (this._flushing === flushing) this._flushing = null;
+			});
+		}
+
+		return this._flushing || Promise.resolve();
+	}
+
+	/**
+	 * @summary - Updates several keys at once, or not at all.
+	 * @param {Function} fn - Called with a draft copy of the store to make
+	 *   changes to, may be async.
+	 * @returns {Promise<*>} - Resolves with whatever fn returns, once the
+	 *   changes are saved.
+	 * @fires committing-irony
+	 * @fires aborting-irony
+	 *
+	 * @description - Nothing fn does to the draft shows up in the store
+	 *   until fn finishes, then every change is applied in one step, one
+	 *   "committing-irony" event is emitted and the rhetorical is saved once.
+	 *   If fn throws, the draft is thrown away along with all of its changes.
+	 *   Keys the transaction didn't touch can still be written to directly
+	 *   while it runs. Transactions take turns, so each one sees what the
+	 *   ones before it committed.
+	 *
+	 * @example <caption>Moving credit between two accounts.</caption>
+	 *   await rhetorical.transaction((draft) => {
+	 *     draft.savings -= 10;
+	 *     draft.checking += 10;
+	 *   });
+	 */
+	transaction(fn){
+		const run = async () => {
+			const base = cloneValue(this._context);
+			const draft = cloneValue(this._context);
+			let result = null;
+
+			try {
+				result = await fn(draft);
+			}
+			catch (err) {
+				/**
+				 * @event aborting-irony
+				 * @type {Array}
+				 * @property {Error} error - Why the transaction was thrown away.
+				 */
+				this.emit("aborting-irony", err);
+				throw err;
+			}
+
+			const changes = this._commit(base, draft);
+			if (changes.length > 0) await this.save();
+			return result;
+		};
+
+		const result = this._transactionQueue.then(run);
+		this._transactionQueue = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * @summary - Applies the difference between a transaction's draft and
+	 *   the state it started from.
+	 * @param {object} base - The store's contents when the transaction began.
+	 * @param {object} draft - The store's contents the transaction ended with.
+	 * @returns {Array<object>} - The changes that were applied.
+	 */
+	_commit(base, draft){
+		// Keys the transaction didn't touch may have been written since it began.
+		const changes = diffContexts(base, draft);
+		for (const change of changes) change.oldValue = this._context[change.key];
+
+		// Everything lands at once, so no reader sees half of the changes.
+		for (const { key, newValue, deleted } of changes) {
+			if (deleted) delete this._context[key];
+			else this._context[key] = newValue;
+			this._unsaved.add(key);
+		}
+
+		for (const { key, newValue, deleted } of changes) {
+			if (deleted) this._afterDelete(key);
+			else this._afterWrite(key, newValue);
+		}
+
+		/**
+		 * @event committing-irony
+		 * @type {Array}
+		 * @property {Array<object>} changes - The "key", "oldValue", "newValue"
+		 *   and whether it was "deleted", for every key the transaction changed.
+		 */
+		if (changes.length > 0) this.emit("committing-irony", changes);
+		return changes;
+	}
+
+	/**
+	 * @summary - Lists the versions kept by the "history" option.
+	 * @returns {Promise<Array<object>>} - Resolves with the "version" number
+	 *   and the "time" it was saved at for every snapshot, oldest first.
+	 */
+	async snapshots(){
+		if (this.history == null) return [];
+
+		if (this.history.storage === "memory")
+			return this._history.map(({ version, time }) => ({ version, time: new Date(time) }));
+
+		const snapshots = [];
+		for (const version of await this._snapshotFiles()) {
+			const { mtime } = await fs.promises.stat(`${this.fileLocation}.${version}`);
+			snapshots.push({ version, time: mtime });
+		}
+
+		return snapshots;
+	}
+
+	/**
+	 * @summary - Compares two versions of the store.
+	 * @param {number} from - The older version.
+	 * @param {number} [to] - The newer version, or the store as it is now
+	 *   when left out.
+	 * @returns {Promise<Array<object>>} - Resolves with the "key", "oldValue",
+	 *   "newValue" and whether it was "deleted", for every key that differs.
+	 */
+	async diff(from, to){
+		const before = await this._readSnapshot(from);
+		const after = to == null ? this._context : await this._readSnapshot(to);
+		return diffContexts(before, after);
+	}
+
+	/**
+	 * @summary - Puts the store back the way it was in an earlier version.
+	 * @param {number} version - The version to go back to, see snapshots.
+	 * @returns {Promise<Array<object>>} - Resolves with the changes made, once saved.
+	 * @fires writing-irony
+	 * @fires deleting-irony
+	 *
+	 * @description - The changes go through the store like any other write,
+	 *   so listeners hear about every key that changes. Reverting saves a
+	 *   new version rather than throwing the later ones away, so it can be
+	 *   undone too.
+	 *
+	 * @example <caption>Undoing the last change.</caption>
+	 *   const versions = await rhetorical.snapshots();
+	 *   await rhetorical.revert(versions[versions.length - 2].version);
+	 */
+	async revert(version){
+		const changes = diffContexts(this._context, await this._readSnapshot(version));
+
+		for (const { key, newValue, deleted } of changes) {
+			if (deleted) delete this.store[key];
+			else this.store[key] = newValue;
+		}
+
+		await this.save();
+		return changes;
+	}
+
+	/**
+	 * @summary - Keeps a copy of what was just saved, see the "history" option.
+	 * @param {Buffer} data - The file contents that were saved.
+	 * @returns {Promise<void>} - Resolves once the snapshot is kept.
+	 */
+	async _snapshot(data){
+		// Saving without changing anything doesn't make a new version.
+		if (this.history == null || (this._lastSnapshot != null && data.equals(this._lastSnapshot))) return;
+
+		if (this._historyVersion == null) {
+			const versions = this.history.storage === "files" ? await this._snapshotFiles() : [];
+			this._historyVersion = versions.length > 0 ? versions[versions.length - 1] : 0;
+		}
+
+		const version = ++this._historyVersion;
+		this._lastSnapshot = data;
+
+		if (this.history.storage === "memory") {
+			this._history.push({ version, time: Date.now(), data });
+			this._history.splice(0, this._history.length - this.history.limit);
+			return;
+		}
+
+		await fs.promises.writeFile(`${this.fileLocation}.${version}`, data, { mode: 0o600 });
+
+		const versions = await this._snapshotFiles();
+		for (const old of versions.slice(0, Math.max(0, versions.length - this.history.limit)))
+			await fs.promises.unlink(`${this.fileLocation}.${old}`).catch(() => {});
+	}
+
+	/**
+	 * @summary - Finds the numbered snapshot files next to the ".irony" file.
+	 * @returns {Promise<Array<number>>} - Resolves with their versions, in order.
+	 */
+	async _snapshotFiles(){
+		const basename = path.basename(this.fileLocation);
+		const versions = [];
+
+		for (const filename of await fs.promises.readdir(path.dirname(this.fileLocation))) {
+			if ( ! filename.startsWith(`${basename}.`) ) continue;
+
+			const version = filename.slice(basename.length + 1);
+			if (/^\d+$/.test(version)) versions.push(Number(version));
 		}
 
-		// TODO:
-		//   attempt reload after I get the temporary store recovery feature
-		//   up and running. (That's a way down the line).
+		return versions.sort((a, b) => a - b);
 	}
 
-	async save(){
-		const ivType = typeof this._iv;
+	/**
+	 * @summary - Reads the store's contents from a snapshot.
+	 * @param {number} version - The snapshot's version.
+	 * @returns {Promise<object>} - Resolves with the contents.
+	 */
+	async _readSnapshot(version){
+		let data = null;
+
+		if (this.history != null && this.history.storage === "memory") {
+			const snapshot = this._history.find((entry) => entry.version === version);
+			if (snapshot != null) data = snapshot.data;
+		}
+		else if (this.history != null && Number.isInteger(version)) {
+			data = await fs.promises.readFile(`${this.fileLocation}.${version}`).catch(() => null);
+		}
+
+		if (data == null)
+			throw Error(`Rhetorical '${this.name}' has no snapshot of version ${version}.`);
+
+		const envelope = this._decode(data);
+		this._upgrade(envelope);
+		return envelope.context;
+	}
+
+	/**
+	 * @summary - Runs a function while holding the rhetorical's file lock.
+	 * @param {Function} fn - The function to run, may be async.
+	 * @returns {Promise<*>} - Resolves with whatever fn returns.
+	 *
+	 * @description - Every process using the same ".irony" file shares the
+	 *   lock, so read-modify-write sequences should happen in here. Anything
+	 *   called from inside fn, like save, load or another withLock, already
+	 *   holds the lock and runs right away; the lock is released once all of
+	 *   it is done. Other calls from the same process take turns. On NodeJS
+	 *   releases without AsyncLocalStorage, anything on the same rhetorical
+	 *   counts as being inside fn while it runs.
+	 *
+	 * @example <caption>Merging into a shared store.</caption>
+	 *   await rhetorical.withLock(async () => {
+	 *     await rhetorical.load();
+	 *     rhetorical.store.runs = (rhetorical.store.runs || 0) + 1;
+	 *     await rhetorical.save();
+	 *   });
+	 */
+	withLock(fn){
+		if (this._holdsLock()) return this._holdLock(fn);
+
+		const run = async () => {
+			const release = await acquireLock(this.fileLocation, this.lockOptions);
+			this._lockHolder = { depth: 0, release };
+			return this._holdLock(fn);
+		};
+
+		const result = this._lockQueue.then(run);
+		this._lockQueue = result.catch(() => {});
+		return result;
+	}
+
+	/**
+	 * @summary - Checks whether the caller is inside a withLock call.
+	 * @returns {boolean} - Whether the lock is already ours.
+	 */
+	_holdsLock(){
+		if (this._lockHolder == null) return false;
+		return lockHolders == null || lockHolders.getStore() === this._lockHolder;
+	}
+
+	/**
+	 * @summary - Runs fn as part of the current lock holder.
+	 * @param {Function} fn - The function to run.
+	 * @returns {Promise<*>} - Resolves with whatever fn returns.
+	 */
+	async _holdLock(fn){
+		const holder = this._lockHolder;
+		holder.depth++;
+
+		try {
+			return await (lockHolders ? lockHolders.run(holder, fn) : fn());
+		}
+		finally {
+			// Only the last one out lets go of the lock.
+			if (--holder.depth === 0) {
+				this._lockHolder = null;
+				await holder.release();
+			}
+		}
+	}
+
+	/**
+	 * @summary - Writes the rhetorical's contents to disk.
+	 * @returns {Promise<void>} - Resolves once the data is safely on disk.
+	 *
+	 * @description - Saves are crash safe. The data is written to a sibling
+	 *   temporary file which is flushed to disk before being renamed over the
+	 *   ".irony" file, so the file is always either the old or the new version
+	 *   and never something in between. The previous version is kept as a
+	 *   ".bak" file that load falls back to if the primary file is damaged.
+	 *   Whatever other processes saved since we last loaded is merged in
+	 *   first, so only the keys written here replace theirs; see watch for
+	 *   the events that come with it. When a save fails the promise rejects,
+	 *   and automatic saves try again later.
+	 *   The file lock is held while writing, see withLock.
+	 */
+	save(){
+		return this.withLock(() => this._save());
+	}
+
+	async _save(){
+		// Another process may have saved since we last looked; writing our
+		// copy over theirs would lose every key they wrote.
+		const current = await fs.promises.readFile(this.fileLocation).catch(() => null);
+		if (current != null && ! this._hasSeen(current)) {
+			await this._catchUp().catch((err) => {
+				// A damaged file is about to be replaced anyway, but one we can't
+				// decrypt isn't ours to replace.
+				if (err instanceof DecryptionError) throw err;
+			});
+		}
 
 		// Publishing even happens outside the safety query because otherwise
 		// it may break things.
 		this.emit("publishing-irony");
 
-		if (ivType !== 'undefined') {
-			const data = this.serializer.stringify(this._context);
-			const options = {}; // just in case we need to edit these later.
+		const data = this._encode({ meta: this._meta, context: this._context });
+		const unsaved = this._unsaved;
+		this._unsaved = new Set();
+		const temporary = `${this.fileLocation}.${process.pid}-${temporaryFileCounter++}.tmp`;
 
-			fs.writeFile(this.fileLocation, data, options, (err) => {
-				if (err) {
-					if (this._iv == true) {
-						if (typeof this._iv === 'integer')
-							clearInterval(this._iv);
-						else if (typeof this._iv === 'boolean' && this._iv === true)
-							this.removeListener('writing-irony', this.save);
+		try {
+			// Stores tend to hold tokens, so only we get to read them.
+			const handle = await fs.promises.open(temporary, 'w', 0o600);
+
+			try {
+				await handle.writeFile(data);
+				await handle.sync();
+			}
+			finally {
+				await handle.close();
+			}
 
-						console.error(`Stopping save loop for rhetorical '${this.name}';`);
-					}
+			try {
+				await fs.promises.copyFile(this.fileLocation, this.backupLocation);
+			}
+			catch (err) {
+				// There's nothing to back up the first time we save.
+				if (err.code !== 'ENOENT') throw err;
+			}
 
-					console.error(`An error occured: ${err.message}.`);
-					console.error(`Saving rhetorical '${this.name}' is now disabled.`)
-					this._iv = null;
-				}
+			await fs.promises.rename(temporary, this.fileLocation);
+			this._lastSeen = data;
+		}
+		catch (err) {
+			await fs.promises.unlink(temporary).catch(() => {});
+			for (const key of unsaved) this._unsaved.add(key);
+			throw err;
+		}
+
+		// The save itself worked, so a missing snapshot isn't worth failing over.
+		await this._snapshot(data).catch((err) => {
+			if ( ! this.emit("failing-irony", err) )
+				console.error(`Snapshotting rhetorical '${this.name}' failed: ${err.message}`);
+		});
+	}
+
+	/**
+	 * @summary - Replaces the rhetorical's contents with what's on disk.
+	 * @returns {Promise<boolean>} - Resolves with whether anything was loaded.
+	 * @throws {Error} - When neither the ".irony" file nor its backup can be parsed.
+	 * @throws {DecryptionError} - When the ".irony" file can't be decrypted.
+	 *
+	 * @description - When the ".irony" file is missing or can't be parsed,
+	 *   the ".bak" copy from the previous save is used instead and a
+	 *   "recovering-irony" event is emitted with the error. Files that don't
+	 *   decrypt aren't recovered from, since the key is wrong or somebody
+	 *   tampered with them. The file lock is held while reading, see withLock.
+	 */
+	load(){
+		return this.withLock(() => this._load());
+	}
+
+	/**
+	 * @summary - Does the loading for load and watch, with the lock held.
+	 * @param {boolean} [merge=false] - Keep writes that haven't been saved yet.
+	 * @returns {Promise<boolean>} - Resolves with whether anything was loaded.
+	 */
+	async _load(merge){
+		let failure = null;
+
+		for (const location of [this.fileLocation, this.backupLocation]) {
+			let envelope = null, raw = null;
+
+			try {
+				raw = await fs.promises.readFile(location);
+				envelope = this._decode(raw);
+			}
+			catch (err) {
+				// A file that doesn't decrypt was tampered with or the key is wrong,
+				// and an older copy won't make that any better.
+				if (err instanceof DecryptionError) throw err;
+				if (err.code !== 'ENOENT' && failure == null) failure = err;
+				continue;
+			}
+
+			const migrated = this._upgrade(envelope);
+			this._adopt(envelope, location === this.fileLocation ? raw : null, failure, merge);
+
+			// We already hold the lock, see load.
+			if (migrated) await this._save();
+			return true;
+		}
+
+		if (failure != null) throw failure;
+		return false;
+	}
+
+	/**
+	 * @summary - The synchronous version of load, used while constructing.
+	 * @returns {boolean} - Whether anything was loaded.
+	 * @throws {Error} - When neither the ".irony" file nor its backup can be parsed.
+	 * @throws {DecryptionError} - When the ".irony" file can't be decrypted.
+	 *
+	 * @description - This doesn't wait for the file lock, which is fine since
+	 *   saves replace the file in one step; we can only ever read a complete
+	 *   version of it.
+	 */
+	loadSync(){
+		let failure = null;
+
+		for (const location of [this.fileLocation, this.backupLocation]) {
+			let envelope = null, raw = null;
+
+			try {
+				raw = fs.readFileSync(location);
+				envelope = this._decode(raw);
+			}
+			catch (err) {
+				if (err instanceof DecryptionError) throw err;
+				if (err.code !== 'ENOENT' && failure == null) failure = err;
+				continue;
+			}
+
+			const migrated = this._upgrade(envelope);
+			this._adopt(envelope, location === this.fileLocation ? raw : null, failure);
+
+			// There's no waiting here, so the migrated data is saved like any
+			// other write; flush to know when it's done.
+			if (migrated) {
+				this._dirty = true;
+				this._autosave();
+			}
+
+			return true;
+		}
+
+		if (failure != null) throw failure;
+		return false;
+	}
+
+	/**
+	 * @summary - Brings a loaded envelope up to the rhetorical's schema version.
+	 * @param {object} envelope - The decoded "meta" data and "context".
+	 * @returns {boolean} - Whether any migrating had to be done.
+	 * @throws {MigrationError} - When the envelope is newer than the
+	 *   rhetorical, or a migration fails.
+	 * @fires migrating-irony
+	 */
+	_upgrade(envelope){
+		const meta = envelope.meta = envelope.meta || {};
+		const stored = meta.version || 0;
+
+		envelope.context = migrateValue(envelope.context, stored, this.schema, `Rhetorical '${this.name}'`);
+		if (this.schema.version > 0) meta.version = this.schema.version;
+
+		if (stored === this.schema.version) return false;
+
+		/**
+		 * @event migrating-irony
+		 * @type {Array}
+		 * @property {number} from - The schema version the data was stored with.
+		 * @property {number} to - The schema version it was migrated to.
+		 */
+		this.emit("migrating-irony", stored, this.schema.version);
+		return true;
+	}
+
+	/**
+	 * @summary - Builds the ".irony" file contents for an envelope.
+	 * @param {object} envelope - The "meta" data and "context" to save.
+	 * @returns {Buffer} - The file contents, encrypted if they should be.
+	 */
+	_encode(envelope){
+		const contents = encodeIronyFile(this.serializer, envelope);
+		return this.encryption == null ? contents : encryptIronyFile(contents, this.encryption, this._salt);
+	}
+
+	/**
+	 * @summary - Reads ".irony" file contents back into an envelope.
+	 * @param {Buffer} contents - The file contents.
+	 * @returns {object} - The "meta" data and "context".
+	 * @throws {DecryptionError} - When the contents can't be decrypted, or
+	 *   aren't encrypted when they should be.
+	 */
+	_decode(contents){
+		const encrypted = isEncryptedIronyFile(contents);
+
+		if (this.encryption == null && encrypted)
+			throw new DecryptionError(`Rhetorical '${this.name}' is encrypted, but no encryption key was given.`);
+
+		// Otherwise anybody could swap in a file of their own.
+		if (this.encryption != null && ! encrypted)
+			throw new DecryptionError(`Rhetorical '${this.name}' should be encrypted, but isn't.`);
+
+		return decodeIronyFile(encrypted ? decryptIronyFile(contents, this.encryption) : contents, this.serializer);
+	}
+
+	/**
+	 * @summary - Replaces the store's contents with a loaded envelope.
+	 * @param {object} envelope - The decoded "meta" data and "context".
+	 * @param {(Buffer|null)} raw - The file contents, when they came from the
+	 *   primary file, so watching can tell them apart from outside changes.
+	 * @param {(Error|null)} failure - Why the primary file couldn't be used, if it couldn't.
+	 * @param {boolean} [merge=false] - Keep the keys written since the last
+	 *   save instead of replacing them too.
+	 */
+	_adopt(envelope, raw, failure, merge){
+		if (failure != null) this.emit("recovering-irony", failure);
+
+		// Unsaved keys are put back as they are, deleted ones stay deleted.
+		const unsaved = merge ? this._unsaved : new Set();
+		const kept = new Map(), entries = this._policy.entries;
+		for (const key of unsaved)
+			if (key in this._context) kept.set(key, this._context[key]);
+
+		for (const property of Object.keys(this._context))
+			delete this._context[property];
+
+		Object.assign(this._context, envelope.context);
+		this._meta = envelope.meta || {};
+		this._policy.entries = this._meta.entries = this._meta.entries || {};
+		if (raw != null) this._lastSeen = raw;
+
+		for (const key of unsaved) {
+			if (kept.has(key)) this._context[key] = kept.get(key);
+			else delete this._context[key];
+
+			if (typeof key !== 'string') continue;
+			if (key in entries) this._policy.entries[key] = entries[key];
+			else delete this._policy.entries[key];
+		}
+
+		this._unsaved = unsaved;
+	}
+}
+
+/**
+ * @public
+ * @class TemporaryRhetorical
+ * @augments Rhetorical
+ * @param {string} name - The rhetorical's name, used for its ".irony" file.
+ * @param {object} [options] - The Rhetorical options, plus:
+ * @param {string} [options.dataStore] - Overrides the temporary data store.
+ * @param {string} [options.programName] - The program the data store belongs to.
+ * @param {(boolean|string)} [options.attemptRecovery=false] - Recover the
+ *   data store of a crashed instance, and load what it had saved.
+ *
+ * @description - A proxy scope generator for cached data. Used to create
+ *   a cache object which will last until the operating system is rebooted.
+ */
+class TemporaryRhetorical extends Rhetorical {
+	constructor(name, options) {
+		options = Object.assign({}, options);
+
+		// Optional argument permutations.
+		if (options.dataStore == null) {
+			options.dataStore = getTemporaryDataStore({
+				programName: options.programName,
+				attemptRecovery: options.attemptRecovery,
+			});
+		}
+
+		super(name, options);
+
+		// A recovered data store is only useful if we pick up where it left off.
+		if (options.attemptRecovery) this.loadSync();
+	}
+}
+
+/**
+ * @public
+ * @class PersistentRhetorical
+ * @augments Rhetorical
+ * @param {string} name - The rhetorical's name, used for its ".irony" file.
+ * @param {object} [options] - The Rhetorical options, plus:
+ * @param {string} [options.dataStore] - Overrides the persistent data store.
+ * @param {string} [options.kind="data"] - Which kind of persistent data
+ *   store to use; "data", "config", "cache" or "state".
+ * @param {string} [options.programName] - The program the data store belongs to.
+ * @param {string} [options.vendor] - The vendor of the program, if any.
+ *
+ * @description - A proxy scope generator for data that should outlive the
+ *   program and the machine's uptime, like settings. Whatever was saved
+ *   before is loaded as soon as it's constructed.
+ */
+class PersistentRhetorical extends Rhetorical {
+	constructor(name, options) {
+		options = Object.assign({}, options);
+
+		if (options.dataStore == null) {
+			options.dataStore = getPersistentDataStore({
+				kind: options.kind,
+				programName: options.programName,
+				vendor: options.vendor,
 			});
 		}
+
+		super(name, options);
+		this.loadSync();
 	}
 }
 
+/**
+ * @public
+ * @function makeTemporaryIrony
+ * @param {string} name - The rhetorical's name, used for its ".irony" file.
+ * @param {object} [options] - The TemporaryRhetorical options.
+ * @returns {object} - The rhetorical's "store" and the "rhetorical" itself.
+ *
+ * @description - Creates a store that lasts until the operating system is
+ *   rebooted. Read and write the store like any other object, and use the
+ *   rhetorical to save, load, lock and watch it.
+ *
+ * @example <caption>Caching between runs of a program.</caption>
+ *   const { store, rhetorical } = makeTemporaryIrony("downloads", {
+ *     saveFrequency: "on-write",
+ *   });
+ *
+ *   store.lastChecked = Date.now(); // saved automatically
+ */
 function makeTemporaryIrony(name, options) {
 	const rhetorical = new TemporaryRhetorical(name, options);
-	rhetoricRegistry.set(manager.store, rhetorical);
+	rhetoricRegistry.set(rhetorical.store, rhetorical);
+	return {store: rhetorical.store, rhetorical};
+}
+
+/**
+ * @public
+ * @function makePersistentIrony
+ * @param {string} name - The rhetorical's name, used for its ".irony" file.
+ * @param {object} [options] - The PersistentRhetorical options.
+ * @returns {object} - The rhetorical's "store" and the "rhetorical" itself.
+ *
+ * @description - Creates a store in the program's persistent data store,
+ *   already filled with whatever was saved to it last time.
+ *
+ * @example <caption>Keeping settings across runs.</caption>
+ *   const { store } = makePersistentIrony("settings", {
+ *     kind: "config",
+ *     programName: "my-cli",
+ *     saveFrequency: "on-write",
+ *   });
+ *
+ *   store.theme = store.theme || "dark";
+ */
+function makePersistentIrony(name, options) {
+	const rhetorical = new PersistentRhetorical(name, options);
+	rhetoricRegistry.set(rhetorical.store, rhetorical);
 	return {store: rhetorical.store, rhetorical};
 }
 
 
-export default {
+module.exports = {
 	superglobal,
+	cachedRef,
 	createCachedVariable,
+	configureCache,
+	flushCachedVariables,
+	envRef,
 	linkEnvironmentVariable,
-
-}
+	defineEnvironment,
+	loadEnvironment,
+	loadEnvironmentFile,
+	makeTemporaryIrony,
+	makePersistentIrony,
+	serializers,
+	EnvironmentValidationError,
+	DecryptionError,
+	MigrationError,
+	IronicEnvironment,
+};
@@ -41,21 +41,20 @@
 'use strict';
 
 // Needed for execution check.
-const { superglobal } = require("./universal.js");
+const { detectRuntime, resolvePlatform } = require("./universal.js");
 
 
-// Check if we're running in the browser or not.
-// This works because in browsers the global 'this' variable has a self
-// reference called 'window'. This self reference is not existent in Node.
-const isBrowser = Object.is(this.window, superglobal);
+// We look at what the runtime can do instead of what it's called, since
+// workers, Deno, Bun and Electron all look like one of the others somewhere.
+const runtime = detectRuntime();
 
 var api = null;
 
-if (isBrowser)
+if (resolvePlatform() === "browser")
 	api = require("./browser.js"); // eslint-disable-line
 else
-	api = require("./node.js"); // eslint-disable-line
+	api = require("./core.js"); // eslint-disable-line
 
 
 // Bootstrap Environment Specific API.
-module.exports = api; // eslint-disable-line
+module.exports = Object.assign({ runtime }, api); // eslint-disable-line
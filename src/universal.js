@@ -0,0 +1,780 @@
+/**
+ * @file variable-irony/universal.js
+ * @author Ruby Allison Rose
+ * @description The universal module contains everything that is shared
+ *   between the platform specific API modules. Nothing in here should depend
+ *   on NodeJS or browser only features so it can be safely required from
+ *   either of them.
+ * @license
+ *   <p><strong>Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)</strong></p>
+ *
+ *   <p>
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   <ul style="list-style-type: disc;">
+ *     <li>
+ *       The above copyright notice and this permission notice shall be included in all
+ *       copies or substantial portions of the Software.
+ *     </li>
+ *
+ *     <li>
+ *       THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *       IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *       FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *       AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *       LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *       OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *       SOFTWARE.
+ *     </li>
+ *   </ul></p>
+ */
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+//...
+
+// External Includes
+//...
+
+// Standard Includes
+//...
+
+
+
+/**
+ * @constant
+ * @public
+ * @summary A constant universal global scope binding.
+ * @description - Resolves to whichever global object the current platform
+ *   gives us, falling back on the one non-strict functions are called with.
+ */
+const superglobal = (() => {
+	if (typeof self !== "undefined") return self;
+	if (typeof window !== "undefined") return window;
+	if (typeof global !== "undefined") return global;
+
+	// Last resort, non-strict functions are called with the global object.
+	return Function("return this")(); // eslint-disable-line
+})();
+
+/**
+ * @constant
+ * @package
+ * @description - Which platform module each runtime gets. Runtimes that can
+ *   require NodeJS modules get the NodeJS one, and everything else gets the
+ *   browser one, which only needs what the web platform has.
+ */
+const runtimePlatforms = {
+	node: "node",
+	bun: "node",
+	electron: "node",
+	deno: "browser",
+	worker: "browser",
+	browser: "browser",
+	unknown: "browser",
+};
+
+/**
+ * @package
+ * @summary - Works out which JavaScript runtime we're in from the features it has.
+ * @returns {string} - One of the runtimePlatforms keys.
+ *
+ * @description - Deno and Bun both pretend to be NodeJS, and Electron
+ *   preload scripts pretend to be browsers as well, so they're checked for
+ *   first. Workers don't have a window, but they do have their own type of
+ *   global scope.
+ */
+function detectRuntime(){
+	const { process: proc, Deno: deno, Bun: bun, WorkerGlobalScope: Worker } = superglobal;
+	const versions = proc != null && proc.versions != null ? proc.versions : {};
+
+	if (deno != null && deno.version != null) return "deno";
+	if (bun != null || versions.bun != null) return "bun";
+	if (versions.electron != null) return "electron";
+	if (typeof Worker === "function" && superglobal instanceof Worker) return "worker";
+	if (superglobal.window === superglobal && superglobal.document != null) return "browser";
+	if (versions.node != null) return "node";
+
+	return "unknown";
+}
+
+/**
+ * @package
+ * @summary - Picks the platform module for the current runtime.
+ * @returns {string} - Either "node" or "browser".
+ * @throws {Error} - When the forced platform isn't one of those.
+ *
+ * @description - The platform can be forced by setting
+ *   "VARIABLE_IRONY_PLATFORM" on the global object before requiring us, or
+ *   in the environment where there is one.
+ */
+function resolvePlatform(){
+	let forced = superglobal.VARIABLE_IRONY_PLATFORM;
+
+	if (forced == null && superglobal.process != null) {
+		// Deno throws here without permission to read the environment.
+		try { forced = superglobal.process.env.VARIABLE_IRONY_PLATFORM; }
+		catch (err) { /* then it isn't forced */ }
+	}
+
+	if (forced == null || forced === "") return runtimePlatforms[detectRuntime()];
+	if (forced !== "node" && forced !== "browser")
+		throw Error(`Unknown platform "${forced}", expected "node" or "browser".`);
+
+	return forced;
+}
+
+
+/**
+ * @package
+ * @summary - Builds an error describing a bad environment variable value.
+ * @param {string} realName - The native name of the Environment Variable.
+ * @param {string} type - The name of the type we tried to coerce into.
+ * @param {*} value - The offending value.
+ * @returns {TypeError} - The error, ready to be thrown.
+ */
+function environmentTypeError(realName, type, value){
+	const error = TypeError(
+		`Environment variable "${realName}" expected a ${type} but got ${JSON.stringify(value)}.`
+	);
+
+	error.variable = realName;
+	return error;
+}
+
+/**
+ * @constant
+ * @package
+ * @description - The built in environment variable types. Each type has a
+ *   "parse" function that turns the raw environment string into a value, and
+ *   a "serialize" function that turns a value back into the string stored
+ *   in the environment. Both are called with the variable's native name and
+ *   the options passed to linkEnvironmentVariable so they can report errors
+ *   properly.
+ */
+const environmentTypes = {
+	string: {
+		parse: (raw) => raw,
+		serialize: (value) => String(value),
+	},
+	number: {
+		parse(raw, realName){
+			const value = Number(raw);
+
+			// Number("") and Number(" ") are both 0, which is never what we want.
+			if ( ! raw.trim().length || Number.isNaN(value) )
+				throw environmentTypeError(realName, "number", raw);
+
+			return value;
+		},
+		serialize(value, realName){
+			if ( typeof value !== "number" ) value = environmentTypes.number.parse(String(value), realName);
+			if ( Number.isNaN(value) ) throw environmentTypeError(realName, "number", value);
+
+			return String(value);
+		},
+	},
+	boolean: {
+		parse(raw, realName){
+			switch (raw.trim().toLowerCase()) {
+			case "true": case "yes": case "on": case "1":
+				return true;
+			case "false": case "no": case "off": case "0":
+				return false;
+			default:
+				throw environmentTypeError(realName, "boolean", raw);
+			}
+		},
+		serialize(value, realName){
+			if ( typeof value !== "boolean" ) value = environmentTypes.boolean.parse(String(value), realName);
+
+			return String(value);
+		},
+	},
+	list: {
+		parse(raw, realName, options){
+			if ( ! raw.trim().length ) return [];
+
+			return raw.split(options.separator).map((item) => item.trim());
+		},
+		serialize(value, realName, options){
+			if ( ! Array.isArray(value) ) throw environmentTypeError(realName, "list", value);
+
+			return value.map(String).join(options.separator);
+		},
+	},
+	json: {
+		parse(raw, realName){
+			try { return JSON.parse(raw); }
+			catch (err) { throw environmentTypeError(realName, "JSON value", raw); }
+		},
+		serialize(value, realName){
+			const raw = JSON.stringify(value);
+
+			// Functions and undefined serialize to nothing, which can't be stored.
+			if ( raw === undefined ) throw environmentTypeError(realName, "JSON value", value);
+
+			return raw;
+		},
+	},
+	url: {
+		parse(raw, realName){
+			try { return new URL(raw); }
+			catch (err) { throw environmentTypeError(realName, "URL", raw); }
+		},
+		serialize(value, realName){
+			if ( value instanceof URL ) return value.href;
+
+			return environmentTypes.url.parse(String(value), realName).href;
+		},
+	},
+};
+
+/**
+ * @package
+ * @summary - Finds the environment type handler for a type option.
+ * @param {(string|object)} [type="string"] - Either the name of one of the
+ *   built in types or a custom object with "parse" and "serialize" functions.
+ * @returns {object} - The matching type handler.
+ */
+function resolveEnvironmentType(type){
+	if ( type == null ) return environmentTypes.string;
+
+	if ( typeof type === "string" ) {
+		const handler = environmentTypes[type.toLowerCase()];
+
+		if ( handler == null )
+			throw Error(`Unknown environment variable type "${type}".`);
+
+		return handler;
+	}
+
+	if ( typeof type.parse !== "function" || typeof type.serialize !== "function" )
+		throw Error(`Custom environment variable types need "parse" and "serialize" functions.`);
+
+	return type;
+}
+
+/**
+ * @public
+ * @class EnvironmentValidationError
+ * @augments Error
+ * @param {Array<object>} problems - Every problem found while validating.
+ *
+ * @description - Thrown by defineEnvironment when one or more variables in
+ *   the schema are missing or malformed. Instead of stopping at the first
+ *   bad variable, all of them are collected so they can be fixed in one go.
+ *   Each entry in "problems" has the binding "name", the native "realName",
+ *   the schema's "description" and a "message" describing what went wrong.
+ */
+class EnvironmentValidationError extends Error {
+	constructor(problems) {
+		const lines = problems.map((problem) => {
+			const about = problem.description ? ` (${problem.description})` : "";
+			return `  - ${problem.realName}${about}: ${problem.message}`;
+		});
+		super(`Invalid environment:\n${lines.join("\n")}`);
+
+		this.name = "EnvironmentValidationError";
+		this.problems = problems;
+	}
+}
+
+/**
+ * @package
+ * @summary - The platform independent half of defineEnvironment.
+ * @param {Function} linkEnvironmentVariable - The platform's binding function.
+ * @param {object} schema - The environment schema, see defineEnvironment.
+ * @param {object} environment - Where the platform keeps its variables.
+ * @returns {object} - The bound environment object.
+ * @throws {EnvironmentValidationError} - When any variable fails validation.
+ */
+function bindEnvironmentSchema(linkEnvironmentVariable, schema, environment){
+	if ( schema == null || typeof schema !== "object" )
+		throw Error(`Expected 'schema' be of type 'object' but got '${typeof schema}'.`);
+
+	const bound = {};
+	const problems = [];
+	// Linking writes the defaults, so we hold on to what was there before
+	// and only keep them once every variable checks out.
+	const previous = Object.assign({}, environment);
+
+	for (const [name, definition] of Object.entries(schema)) {
+		const {
+			realName = null,
+			default: initializer = null,
+			required = false,
+			description,
+			...options
+		} = definition;
+		let linkedName = realName || name;
+		const report = (message) => problems.push({ name, realName: linkedName, description, message });
+
+		try {
+			linkedName = linkEnvironmentVariable(name, realName, initializer, bound, options);
+
+			// Reading the value here is what catches malformed variables early.
+			const value = bound[name];
+
+			if ( required && (value == null || value === "") )
+				report("is required but unset.");
+		}
+		catch (err) {
+			// A malformed default throws before we learn the native name.
+			if (err.variable != null) linkedName = err.variable;
+			report(err.message);
+		}
+	}
+
+	if ( problems.length ) {
+		for (const key of Object.keys(environment))
+			if ( ! (key in previous) ) delete environment[key];
+
+		for (const [key, value] of Object.entries(previous))
+			if ( environment[key] !== value ) environment[key] = value;
+
+		throw new EnvironmentValidationError(problems);
+	}
+
+	return bound;
+}
+
+/**
+ * @package
+ * @summary - Parses the contents of a dotenv style file.
+ * @param {string} text - The file contents.
+ * @returns {object} - Every variable assigned in the file, in order.
+ *
+ * @description - Follows the same rules as the popular dotenv package.
+ *   Blank lines and lines starting with "#" are skipped, as are lines that
+ *   don't look like assignments. An "export " prefix is allowed so the same
+ *   file can be sourced by a shell. Unquoted values are trimmed and end at
+ *   an inline " #" comment. Single quoted and backtick quoted values are
+ *   taken literally, while double quoted values understand "\n", "\r",
+ *   "\t", "\"" and "\\" escapes. Any quoted value may span multiple lines.
+ */
+function parseEnvironmentFile(text){
+	const result = {};
+	const source = String(text).replace(/\r\n?/g, "\n");
+	const assignment = /[ \t]*(?:export[ \t]+)?([A-Za-z_][\w.-]*)[ \t]*=[ \t]*/y;
+	const escapes = { n: "\n", r: "\r", t: "\t" };
+	let position = 0;
+
+	const endOfLine = (from) => {
+		const end = source.indexOf("\n", from);
+		return end === -1 ? source.length : end;
+	};
+
+	while (position < source.length) {
+		assignment.lastIndex = position;
+		const match = assignment.exec(source);
+
+		// Comments, blank lines and garbage all get skipped the same way.
+		if ( match == null ) {
+			position = endOfLine(position) + 1;
+			continue;
+		}
+
+		const key = match[1];
+		const quote = source[assignment.lastIndex];
+		position = assignment.lastIndex;
+
+		if ( quote === "'" || quote === '"' || quote === "`" ) {
+			let end = position + 1;
+
+			// Only double quotes can escape themselves.
+			while (end < source.length && source[end] !== quote)
+				end += (quote === '"' && source[end] === "\\") ? 2 : 1;
+
+			if ( end < source.length ) {
+				let value = source.slice(position + 1, end);
+
+				if ( quote === '"' )
+					value = value.replace(/\\([nrt"\\])/g, (_, c) => escapes[c] || c);
+
+				result[key] = value;
+				position = endOfLine(end) + 1;
+				continue;
+			}
+			// Unterminated quotes fall through and are read as plain values.
+		}
+
+		const end = endOfLine(position);
+		result[key] = source.slice(position, end).replace(/(?:^|\s+)#.*$/, "").trim();
+		position = end + 1;
+	}
+
+	return result;
+}
+
+/**
+ * @package
+ * @summary - Expands shell style references inside an environment value.
+ * @param {string} raw - The raw environment value.
+ * @param {Function} lookup - Returns the raw value of a variable by its
+ *   native name, or undefined when it's unset.
+ * @param {Array<string>} [stack=[]] - The variables currently being expanded,
+ *   starting with the one "raw" belongs to. Used to detect cycles.
+ * @returns {string} - The expanded value.
+ * @throws {Error} - When the references form a cycle, a "${VAR:?error}"
+ *   reference is unset or a reference is never closed.
+ *
+ * @description - Supports "${VAR}", "${VAR:-default}" and "${VAR:?error}"
+ *   the same way POSIX shells do, where the default and error branches apply
+ *   when the variable is unset or empty. Referenced values and defaults are
+ *   expanded too. "$$" is an escaped "$", and any other "$" is left alone.
+ */
+function expandEnvironmentValue(raw, lookup, stack){
+	if ( stack == null ) stack = [];
+
+	const owner = stack.length ? `Environment variable "${stack[0]}"` : "Environment value";
+	let result = "";
+	let position = 0;
+
+	while (position < raw.length) {
+		const dollar = raw.indexOf("$", position);
+
+		if ( dollar === -1 || dollar === raw.length - 1 ) {
+			result += raw.slice(position);
+			break;
+		}
+
+		result += raw.slice(position, dollar);
+		const next = raw[dollar + 1];
+
+		if ( next === "$" ) {
+			result += "$";
+			position = dollar + 2;
+			continue;
+		}
+		else if ( next !== "{" ) {
+			result += "$";
+			position = dollar + 1;
+			continue;
+		}
+
+		// Find the matching brace so defaults can hold references of their own.
+		let depth = 1, end = dollar + 2;
+		for (; end < raw.length && depth; end++) {
+			if ( raw[end] === "{" ) depth++;
+			else if ( raw[end] === "}" ) depth--;
+		}
+
+		if ( depth )
+			throw Error(`${owner} has an unclosed reference: ${raw.slice(dollar)}`);
+
+		const reference = raw.slice(dollar + 2, end - 1);
+		const match = /^([A-Za-z_]\w*)(?:(:-|:\?)([\s\S]*))?$/.exec(reference);
+
+		if ( match == null )
+			throw Error(`${owner} has a malformed reference: \${${reference}}`);
+
+		const [, realName, operator, argument] = match;
+
+		if ( stack.includes(realName) )
+			throw Error(`Environment variables reference each other in a cycle: ${stack.concat(realName).join(" -> ")}`);
+
+		let value = lookup(realName);
+		if ( value != null ) value = expandEnvironmentValue(value, lookup, stack.concat(realName));
+
+		if ( value == null || value === "" ) {
+			if ( operator === ":-" )
+				value = expandEnvironmentValue(argument, lookup, stack);
+			else if ( operator === ":?" )
+				throw Error(`Environment variable "${realName}" is required${stack.length ? ` by "${stack[0]}"` : ""}: ${argument || "unset or empty."}`);
+			else
+				value = "";
+		}
+
+		result += value;
+		position = end;
+	}
+
+	return result;
+}
+
+/**
+ * @package
+ * @class CachePolicy
+ * @param {object} [options] - The store wide limits.
+ * @param {number} [options.ttl] - How long in milliseconds entries live after
+ *   being written, unless they have a time to live of their own.
+ * @param {number} [options.maxEntries] - How many entries the store can hold.
+ * @param {number} [options.maxBytes] - How large the store's entries can get
+ *   in total, measured by the size each platform reports for them.
+ * @param {object} [entries={}] - Previously saved entry metadata.
+ *
+ * @description - Keeps the bookkeeping needed for time to live expiry and
+ *   least recently used eviction. The entry metadata is a plain object so
+ *   each platform can store it next to the data it describes. The policy
+ *   never touches the data itself, it only says what should go.
+ */
+class CachePolicy {
+	constructor(options, entries) {
+		options = Object.assign({ ttl: null, maxEntries: null, maxBytes: null }, options);
+
+		this.ttl = options.ttl;
+		this.maxEntries = options.maxEntries;
+		this.maxBytes = options.maxBytes;
+		this.entries = entries || {};
+	}
+
+	/**
+	 * @summary - Whether there are any limits worth keeping track of.
+	 * @returns {boolean} - Whether any limit is set.
+	 */
+	get limited(){
+		return this.ttl != null || this.maxEntries != null || this.maxBytes != null;
+	}
+
+	/**
+	 * @summary - Gives out increasing access stamps, even within a millisecond.
+	 * @returns {number} - The stamp.
+	 */
+	_stamp(){
+		if (this._clock == null)
+			this._clock = Math.max(0, ...Object.values(this.entries).map((entry) => entry.accessed));
+
+		return this._clock = Math.max(Date.now(), this._clock + 1);
+	}
+
+	/**
+	 * @summary - Records that an entry was written.
+	 * @param {string} key - The entry's key.
+	 * @param {number} size - The entry's size.
+	 * @param {number} [ttl] - The entry's own time to live, null for none.
+	 *   When left undefined, the entry keeps the one it already had.
+	 */
+	write(key, size, ttl){
+		const previous = this.entries[key];
+		if (ttl === undefined) ttl = previous ? previous.ttl : null;
+
+		const lifetime = ttl != null ? ttl : this.ttl;
+		this.entries[key] = {
+			accessed: this._stamp(),
+			expires: lifetime != null ? Date.now() + lifetime : null,
+			ttl,
+			size,
+		};
+	}
+
+	/**
+	 * @summary - Records that an entry was read.
+	 * @param {string} key - The entry's key.
+	 */
+	touch(key){
+		if (this.entries[key] != null) this.entries[key].accessed = this._stamp();
+	}
+
+	/**
+	 * @summary - Forgets an entry.
+	 * @param {string} key - The entry's key.
+	 */
+	remove(key){
+		delete this.entries[key];
+	}
+
+	/**
+	 * @summary - Checks whether an entry has outlived its time to live.
+	 * @param {string} key - The entry's key.
+	 * @returns {boolean} - Whether the entry has expired.
+	 */
+	isExpired(key){
+		const entry = this.entries[key];
+		return entry != null && entry.expires != null && entry.expires <= Date.now();
+	}
+
+	/**
+	 * @summary - Picks the least recently used entries to evict.
+	 * @returns {Array<string>} - The keys that were evicted, oldest first.
+	 *   They're already forgotten by the policy.
+	 */
+	evict(){
+		const keys = Object.keys(this.entries)
+			.sort((a, b) => this.entries[a].accessed - this.entries[b].accessed);
+		let count = keys.length;
+		let bytes = keys.reduce((total, key) => total + this.entries[key].size, 0);
+		const evicted = [];
+
+		for (const key of keys) {
+			if ( (this.maxEntries == null || count <= this.maxEntries)
+				&& (this.maxBytes == null || bytes <= this.maxBytes) )
+				break;
+
+			count--;
+			bytes -= this.entries[key].size;
+			evicted.push(key);
+			this.remove(key);
+		}
+
+		return evicted;
+	}
+}
+
+
+/**
+ * @public
+ * @class MigrationError
+ * @augments Error
+ * @param {string} message - What went wrong.
+ * @param {object} versions - The "stored" version of the data and the
+ *   "supported" version the program knows about.
+ * @param {Error} [cause] - The error thrown by a migration, if any.
+ *
+ * @description - Thrown when stored data can't be brought up to the
+ *   program's schema version, either because a migration failed or because
+ *   the data was written by a newer version of the program. Newer data is
+ *   never loaded, since there's no telling what shape it's in.
+ */
+class MigrationError extends Error {
+	constructor(message, versions, cause) {
+		super(message);
+
+		this.name = "MigrationError";
+		this.stored = versions.stored;
+		this.supported = versions.supported;
+		if (cause != null) this.cause = cause;
+	}
+}
+
+/**
+ * @package
+ * @summary - Reads the schema version options shared by every store.
+ * @param {object} options - The store's options.
+ * @param {number} [options.version=0] - The schema version the program uses.
+ * @param {(object|Map)} [options.migrations] - Maps each version to a
+ *   function upgrading data from the version before it.
+ * @returns {object} - The "version" and "migrations".
+ */
+function resolveSchema(options){
+	const { version = 0, migrations = {} } = options;
+
+	if ( ! Number.isInteger(version) || version < 0 )
+		throw Error(`Schema versions need to be whole numbers, not ${JSON.stringify(version)}.`);
+
+	return { version, migrations };
+}
+
+/**
+ * @package
+ * @summary - Brings stored data up to the program's schema version.
+ * @param {*} value - The stored data.
+ * @param {number} stored - The version the data was stored with.
+ * @param {object} schema - The "version" and "migrations", see resolveSchema.
+ * @param {string} label - What the data is, for error messages.
+ * @returns {*} - The upgraded data.
+ * @throws {MigrationError} - When the data is newer than the program, or
+ *   one of the migrations fails.
+ *
+ * @description - Migrations run one version at a time, in order. Each one
+ *   gets the data in the shape of the version before it and either returns
+ *   the new shape or changes the data in place. Versions without a
+ *   migration leave the data as it is.
+ */
+function migrateValue(value, stored, schema, label){
+	const versions = { stored, supported: schema.version };
+
+	if (stored > schema.version)
+		throw new MigrationError(`${label} was stored with schema version ${stored}, but only versions up to ${schema.version} are supported.`, versions);
+
+	for (let version = stored + 1; version <= schema.version; version++) {
+		const migration = schema.migrations instanceof Map
+			? schema.migrations.get(version)
+			: schema.migrations[version];
+
+		if (migration == null) continue;
+
+		try {
+			const migrated = migration(value);
+			if (migrated !== undefined) value = migrated;
+		}
+		catch (err) {
+			throw new MigrationError(`Migrating ${label} to schema version ${version} failed: ${err.message}`, versions, err);
+		}
+	}
+
+	return value;
+}
+
+/**
+ * @package
+ * @summary - Adds a listener to a set of subscribers.
+ * @param {Set<Function>} subscribers - The subscribers to add it to.
+ * @param {Function} listener - The listener.
+ * @returns {Function} - Removes the listener again.
+ */
+function addSubscriber(subscribers, listener){
+	if (typeof listener !== "function")
+		throw TypeError(`Expected 'listener' be of type 'function' but got '${typeof listener}'.`);
+
+	subscribers.add(listener);
+	return () => { subscribers.delete(listener); };
+}
+
+/**
+ * @package
+ * @summary - Turns a variable's value into a primitive for Symbol.toPrimitive.
+ * @param {*} value - The variable's value.
+ * @param {string} hint - "number", "string" or "default".
+ * @returns {*} - The primitive.
+ */
+function toPrimitiveValue(value, hint){
+	// Lists and URLs have their own string forms, other objects get JSON.
+	if (value !== null && typeof value === "object")
+		value = Array.isArray(value) || typeof value.href === "string" ? String(value) : JSON.stringify(value);
+
+	if (hint === "number") return Number(value);
+	if (hint === "string") return String(value);
+	return value;
+}
+
+/**
+ * @package
+ * @summary - Builds the handle cachedRef and envRef give out.
+ * @param {string} name - The variable name.
+ * @param {object} handlers - The "get", "set", "reset", "delete" and
+ *   "subscribe" functions of the variable.
+ * @param {object} [extra] - Anything else the handle should carry.
+ * @returns {object} - The handle, which can't be changed.
+ *
+ * @description - The handle works wherever a primitive is expected, so
+ *   "`${port}`" and "port + 1" read the variable.
+ */
+function createReference(name, handlers, extra){
+	return Object.freeze(Object.assign({ name }, extra, {
+		get: handlers.get,
+		set: handlers.set,
+		reset: handlers.reset,
+		delete: handlers.delete,
+		subscribe: handlers.subscribe,
+		[Symbol.toPrimitive]: (hint) => toPrimitiveValue(handlers.get(), hint),
+	}));
+}
+
+
+module.exports = {
+	superglobal,
+	detectRuntime,
+	resolvePlatform,
+	environmentTypes,
+	resolveEnvironmentType,
+	EnvironmentValidationError,
+	bindEnvironmentSchema,
+	parseEnvironmentFile,
+	expandEnvironmentValue,
+	CachePolicy,
+	MigrationError,
+	resolveSchema,
+	migrateValue,
+	addSubscriber,
+	createReference,
+};
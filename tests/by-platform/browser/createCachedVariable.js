@@ -0,0 +1,520 @@
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+const {
+	cachedRef,
+	createCachedVariable,
+	configureCache,
+	getCacheBackend,
+	listCachedVariables,
+	clearCachedVariables,
+	MigrationError,
+} = require(`../../../src/browser.js`);
+
+// External Includes
+//...
+
+// Standard Includes
+//...
+
+
+
+/**
+ * @summary - Makes a scope that cached variable events can be listened on.
+ * @returns {EventTarget} - A detached element.
+ *
+ * @description - Older versions of jsdom (like the one jest 24 ships) can
+ *   construct a bare EventTarget, but never deliver events dispatched to it.
+ *   Elements work everywhere.
+ */
+function makeScope(){
+	return document.createElement("div");
+}
+
+beforeEach(()=>{
+	localStorage.clear();
+	sessionStorage.clear();
+	configureCache({ ttl: null, maxEntries: null, maxBytes: null });
+});
+
+afterEach(()=>{
+	jest.useRealTimers();
+});
+
+
+describe("createCachedVariable Cache Limits - Browser", ()=>{
+	test("Expired values read as the initializer", ()=>{
+		const scope = makeScope();
+		const expired = jest.fn();
+		scope.addEventListener("ldExpire", expired);
+
+		createCachedVariable("ttlKip", "DEFAULT", scope, { ttl: -1 });
+		scope.ttlKip = "PASSED";
+
+		expect(scope.ttlKip).toBe("DEFAULT");
+		expect(expired).toHaveBeenCalledTimes(1);
+		expect(expired.mock.calls[0][0].detail).toEqual({ name: "ttlKip", value: "PASSED" });
+		expect(localStorage.getItem("ttlKip")).toBeNull();
+	});
+	test("Evicts the least recently used values", ()=>{
+		const scope = makeScope();
+		const evicted = jest.fn();
+		scope.addEventListener("ldEvict", evicted);
+
+		configureCache({ maxEntries: 2 });
+		createCachedVariable("lruFirst", 1, scope);
+		createCachedVariable("lruSecond", 2, scope);
+		void scope.lruFirst; // Reading it makes the second variable the oldest.
+		createCachedVariable("lruThird", 3, scope);
+
+		expect(evicted.mock.calls[0][0].detail.name).toBe("lruSecond");
+		expect(localStorage.getItem("lruSecond")).toBeNull();
+		expect(scope.lruFirst).toBe(1);
+		expect(scope.lruThird).toBe(3);
+	});
+	test("Saves reads to the bookkeeping together, later", ()=>{
+		jest.useFakeTimers();
+		const backend = getCacheBackend("memory", {});
+		const setItem = jest.spyOn(backend, "setItem");
+		const scope = {};
+
+		configureCache({ maxEntries: 10 });
+		createCachedVariable("lruRead", 1, scope, { backend });
+		setItem.mockClear();
+
+		for (let index = 0; index < 10; index++) void scope.lruRead;
+		expect(setItem).not.toHaveBeenCalled();
+
+		jest.runOnlyPendingTimers();
+		expect(setItem).toHaveBeenCalledTimes(1);
+	});
+	test("Reads when there's no room for the bookkeeping", ()=>{
+		jest.useFakeTimers();
+		const backend = getCacheBackend("memory", {});
+		const scope = {};
+
+		configureCache({ maxEntries: 10 });
+		createCachedVariable("lruFull", 1, scope, { backend });
+		backend.setItem = () => {
+			throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+		};
+
+		expect(scope.lruFull).toBe(1);
+		expect(() => jest.runOnlyPendingTimers()).not.toThrow();
+	});
+});
+
+
+describe("createCachedVariable Migrations - Browser", ()=>{
+	const migrations = {
+		1: (name) => ({ first: name.split(" ")[0], last: name.split(" ")[1] }),
+	};
+
+	test("Migrates values stored with an older version", ()=>{
+		const scope = makeScope();
+		const migrated = jest.fn();
+		scope.addEventListener("ldMigrate", migrated);
+
+		localStorage.setItem("migUser", JSON.stringify("Ada Lovelace"));
+		createCachedVariable("migUser", null, scope, { version: 1, migrations });
+
+		expect(scope.migUser).toEqual({ first: "Ada", last: "Lovelace" });
+		expect(JSON.parse(localStorage.getItem("migUser"))).toEqual({ first: "Ada", last: "Lovelace" });
+		expect(migrated.mock.calls[0][0].detail).toEqual({ name: "migUser", from: 0, to: 1 });
+	});
+	test("Refuses values stored with a newer version", ()=>{
+		createCachedVariable("migNewer", { first: "Ada" }, {}, { version: 2 });
+
+		expect(()=>createCachedVariable("migNewer", null, {}, { version: 1, migrations }))
+			.toThrow(MigrationError);
+	});
+});
+
+
+describe("createCachedVariable Backends - Browser", ()=>{
+	test.each([
+		"localStorage",
+		"sessionStorage",
+		"memory",
+		"cookie",
+	])("Reads and writes the same way with %s", (backend)=>{
+		const scope = {};
+		const name = `backend_${backend}`;
+
+		createCachedVariable(name, { theme: "light" }, scope, { backend });
+		expect(scope[name]).toEqual({ theme: "light" });
+
+		scope[name] = { theme: "dark; really" };
+		expect(scope[name]).toEqual({ theme: "dark; really" });
+		expect(getCacheBackend(backend).keys()).toContain(name);
+	});
+	test("Skips cookies it can't decode", ()=>{
+		document.cookie = "cookieBroken=%E0%A4%A; path=/";
+		const scope = {};
+
+		createCachedVariable("cookieFine", 1, scope, { backend: "cookie" });
+		expect(scope.cookieFine).toBe(1);
+		expect(getCacheBackend("cookie").keys()).not.toContain("cookieBroken");
+
+		document.cookie = "cookieBroken=; max-age=0; path=/";
+	});
+	test("Uses the backend set with configureCache", ()=>{
+		configureCache({ backend: "memory" });
+		createCachedVariable("backendDefault", 1, {});
+		configureCache({ backend: "localStorage" });
+
+		expect(getCacheBackend("memory").getItem("backendDefault")).toBe("1");
+		expect(localStorage.getItem("backendDefault")).toBeNull();
+	});
+});
+
+
+describe("createCachedVariable IndexedDB - Browser", ()=>{
+	// Pretends to be IndexedDB, answering every request on a later tick.
+	function createFakeIndexedDB(stored, failure){
+		const items = new Map(Object.entries(stored));
+		const later = (fn) => setTimeout(fn, 0);
+
+		const database = {
+			createObjectStore: () => {},
+			transaction: () => {
+				const transaction = {};
+				const write = (change) => later(() => {
+					if (failure == null) return change();
+					transaction.error = failure;
+					transaction.onerror();
+				});
+
+				transaction.objectStore = () => ({
+					put: (value, key) => write(() => items.set(key, value)),
+					delete: (key) => write(() => items.delete(key)),
+					openCursor: () => {
+						const cursor = {};
+						const entries = Array.from(items);
+						const step = () => later(() => {
+							const entry = entries.shift();
+							cursor.result = entry == null ? null : { key: entry[0], value: entry[1], continue: step };
+							cursor.onsuccess();
+						});
+
+						step();
+						return cursor;
+					},
+				});
+
+				return transaction;
+			},
+		};
+
+		return {
+			items,
+			open: () => {
+				const request = {};
+				later(() => {
+					request.result = database;
+					request.onsuccess();
+				});
+
+				return request;
+			},
+		};
+	}
+
+	afterEach(()=>{
+		delete window.indexedDB;
+	});
+
+	test("Reads what the database held once it's ready", async ()=>{
+		window.indexedDB = createFakeIndexedDB({ idbStored: JSON.stringify("stored") });
+		const backend = getCacheBackend("indexedDB", { database: "idbReady" });
+		const scope = makeScope();
+		const read = jest.fn();
+		scope.addEventListener("ldRead", read);
+
+		createCachedVariable("idbStored", "initial", scope, { backend });
+		expect(scope.idbStored).toBe("initial");
+		expect(read.mock.calls[0][0].detail).toEqual({ name: "idbStored", value: "initial", pending: true });
+
+		await backend.ready;
+		expect(scope.idbStored).toBe("stored");
+		expect(read.mock.calls[1][0].detail).toEqual({ name: "idbStored", value: "stored" });
+	});
+	test("Writes made before it's ready win over the database", async ()=>{
+		const fake = window.indexedDB = createFakeIndexedDB({ idbEarly: JSON.stringify("stored") });
+		const backend = getCacheBackend("indexedDB", { database: "idbEarly" });
+		const scope = {};
+
+		createCachedVariable("idbEarly", null, scope, { backend });
+		scope.idbEarly = "early";
+		await backend.ready;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(scope.idbEarly).toBe("early");
+		expect(fake.items.get("idbEarly")).toBe(JSON.stringify("early"));
+	});
+	test("Reports failed writes and keeps the value in memory", async ()=>{
+		window.indexedDB = createFakeIndexedDB({}, new DOMException("The disk is gone.", "UnknownError"));
+		const backend = getCacheBackend("indexedDB", { database: "idbFailing" });
+		const scope = makeScope();
+		const errored = jest.fn();
+		scope.addEventListener("ldError", errored);
+
+		createCachedVariable("idbFailing", 1, scope, { backend });
+		await backend.ready;
+		scope.idbFailing = 2;
+		await new Promise((resolve) => setTimeout(resolve, 10));
+
+		expect(errored.mock.calls.map(([event]) => event.detail.name)).toEqual(["idbFailing", "idbFailing"]);
+		expect(errored.mock.calls[0][0].detail.fallback).toBe("memory");
+		expect(errored.mock.calls[0][0].detail.error.message).toBe("The disk is gone.");
+		expect(scope.idbFailing).toBe(2);
+	});
+	test("Reports a database that won't open", async ()=>{
+		const failure = new DOMException("Not allowed.", "SecurityError");
+		window.indexedDB = {
+			open: () => {
+				const request = { error: failure };
+				setTimeout(() => request.onerror(), 0);
+				return request;
+			},
+		};
+		const backend = getCacheBackend("indexedDB", { database: "idbBlocked" });
+		const scope = makeScope();
+		const errored = jest.fn();
+		scope.addEventListener("ldError", errored);
+
+		createCachedVariable("idbBlocked", 1, scope, { backend });
+		await expect(backend.ready).rejects.toBe(failure);
+
+		expect(errored.mock.calls[0][0].detail).toEqual({ name: "idbBlocked", error: failure, fallback: "memory" });
+		expect(scope.idbBlocked).toBe(1);
+	});
+});
+
+
+describe("createCachedVariable Syncing - Browser", ()=>{
+	test("Reports changes made in other tabs", ()=>{
+		const scope = makeScope();
+		const changed = jest.fn();
+
+		createCachedVariable("syncTheme", "light", scope);
+		scope.addEventListener("ldChange", changed);
+
+		// This is what the browser dispatches when another tab sets the item.
+		localStorage.setItem("syncTheme", JSON.stringify("dark"));
+		window.dispatchEvent(new StorageEvent("storage", {
+			key: "syncTheme",
+			oldValue: JSON.stringify("light"),
+			newValue: JSON.stringify("dark"),
+			storageArea: localStorage,
+		}));
+
+		expect(changed).toHaveBeenCalledTimes(1);
+		expect(changed.mock.calls[0][0].detail).toEqual({
+			name: "syncTheme",
+			oldValue: "light",
+			newValue: "dark",
+			origin: "external",
+		});
+		expect(scope.syncTheme).toBe("dark");
+	});
+	test("Reports local changes as local", ()=>{
+		const scope = makeScope();
+		const changed = jest.fn();
+
+		createCachedVariable("syncLocal", 1, scope);
+		scope.addEventListener("ldChange", changed);
+		scope.syncLocal = 2;
+
+		expect(changed.mock.calls[0][0].detail.origin).toBe("local");
+	});
+	test("Tells handle subscribers about other tabs", ()=>{
+		const theme = cachedRef("syncHandle", "light");
+		const changed = jest.fn();
+		theme.subscribe(changed);
+
+		localStorage.setItem("syncHandle", JSON.stringify("dark"));
+		window.dispatchEvent(new StorageEvent("storage", {
+			key: "syncHandle",
+			oldValue: JSON.stringify("light"),
+			newValue: JSON.stringify("dark"),
+			storageArea: localStorage,
+		}));
+
+		expect(changed.mock.calls).toEqual([[{
+			name: "syncHandle",
+			oldValue: "light",
+			newValue: "dark",
+			origin: "external",
+		}]]);
+	});
+});
+
+
+describe("createCachedVariable Namespaces - Browser", ()=>{
+	test("Keeps namespaces apart", ()=>{
+		const first = {}, second = {};
+
+		createCachedVariable("theme", "light", first, { namespace: "first" });
+		createCachedVariable("theme", "dark", second, { namespace: "second" });
+		first.theme = "blue";
+
+		expect(second.theme).toBe("dark");
+		expect(localStorage.getItem("first:theme")).toBe(JSON.stringify("blue"));
+		expect(localStorage.getItem("theme")).toBeNull();
+	});
+	test("Lists and clears a namespace", ()=>{
+		const scope = makeScope();
+		const changed = jest.fn();
+
+		createCachedVariable("user", "ruby", scope, { namespace: "listed" });
+		createCachedVariable("other", 1, {}, { namespace: "elsewhere" });
+		scope.addEventListener("ldChange", changed);
+
+		expect(listCachedVariables("listed")).toEqual(["user"]);
+
+		scope.user = "allison";
+		clearCachedVariables("listed");
+
+		expect(listCachedVariables("listed")).toEqual([]);
+		expect(listCachedVariables("elsewhere")).toEqual(["other"]);
+		expect(scope.user).toBe("ruby");
+		expect(changed.mock.calls[1][0].detail).toEqual({
+			name: "user",
+			oldValue: "allison",
+			newValue: "ruby",
+			origin: "local",
+		});
+	});
+	test("Lists and clears only the namespace asked for", ()=>{
+		configureCache({ maxEntries: 10 });
+		createCachedVariable("user", "ruby", {}, { namespace: "app" });
+		createCachedVariable("sub:user", "allison", {}, { namespace: "app" });
+		createCachedVariable("metadata", "rose", {}, { namespace: "variable-irony.app" });
+
+		expect(listCachedVariables("app").sort()).toEqual(["sub:user", "user"]);
+		clearCachedVariables("app");
+
+		expect(listCachedVariables("app")).toEqual([]);
+		expect(listCachedVariables("variable-irony.app")).toEqual(["metadata"]);
+		expect(localStorage.getItem("variable-irony:metadata:app")).toBeNull();
+		expect(localStorage.getItem("variable-irony:metadata:variable-irony.app")).not.toBeNull();
+	});
+	test("Refuses namespaces it couldn't tell apart", ()=>{
+		expect(()=>{
+			createCachedVariable("user", "ruby", {}, { namespace: "app:sub" });
+		}).toThrow(`can't contain ":"`);
+		expect(()=>{
+			listCachedVariables("variable-irony");
+		}).toThrow("is reserved");
+		expect(()=>{
+			createCachedVariable("variable-irony:metadata", null, {});
+		}).toThrow("outside a namespace");
+		expect(()=>{
+			configureCache({ namespace: "app:sub" });
+		}).toThrow(`can't contain ":"`);
+	});
+});
+
+
+describe("createCachedVariable Quotas - Browser", ()=>{
+	// Pretends to be a storage with room for a few items.
+	function createTinyBackend(room){
+		const items = getCacheBackend("memory", {});
+		const { setItem } = items;
+
+		items.setItem = (key, value) => {
+			if (items.getItem(key) === null && items.keys().length >= room)
+				throw new DOMException("The quota has been exceeded.", "QuotaExceededError");
+			setItem(key, value);
+		};
+
+		return items;
+	}
+
+	test("Evicts the oldest variables to make room", ()=>{
+		const backend = createTinyBackend(3);
+		const scope = makeScope();
+		const errored = jest.fn();
+		const evicted = jest.fn();
+
+		scope.addEventListener("ldError", errored);
+		scope.addEventListener("ldEvict", evicted);
+
+		createCachedVariable("quotaOld", 1, scope, { backend });
+		createCachedVariable("quotaNew", 2, scope, { backend });
+		createCachedVariable("quotaNewer", 3, scope, { backend });
+		createCachedVariable("quotaNewest", 4, scope, { backend });
+
+		expect(errored.mock.calls[0][0].detail.fallback).toBe("evict");
+		expect(evicted.mock.calls[0][0].detail.name).toBe("quotaOld");
+		expect(backend.getItem("quotaNewest")).toBe("4");
+		expect(backend.getItem("quotaOld")).toBeNull();
+		expect(backend.keys()).not.toContain("variable-irony:metadata");
+	});
+	test("Evicts the least recently used variables when limited", ()=>{
+		const backend = createTinyBackend(4);
+		const scope = makeScope();
+		const evicted = jest.fn();
+		scope.addEventListener("ldEvict", evicted);
+
+		// One of the four slots goes to the cache bookkeeping.
+		configureCache({ maxEntries: 10 });
+		createCachedVariable("quotaUsed", 1, scope, { backend });
+		createCachedVariable("quotaUnused", 2, scope, { backend });
+		void scope.quotaUsed;
+		createCachedVariable("quotaLatest", 3, scope, { backend });
+		createCachedVariable("quotaLast", 4, scope, { backend });
+
+		expect(evicted.mock.calls[0][0].detail.name).toBe("quotaUnused");
+		expect(backend.getItem("quotaUsed")).toBe("1");
+		expect(backend.getItem("quotaLast")).toBe("4");
+	});
+	test("Switches to memory", ()=>{
+		const backend = createTinyBackend(0);
+		const scope = makeScope();
+		const errored = jest.fn();
+
+		scope.addEventListener("ldError", errored);
+		createCachedVariable("quotaMemory", 1, scope, { backend, quotaFallback: "memory" });
+		scope.quotaMemory = 2;
+
+		expect(errored).toHaveBeenCalledTimes(1);
+		expect(scope.quotaMemory).toBe(2);
+		expect(backend.getItem("quotaMemory")).toBeNull();
+		expect(getCacheBackend("memory").getItem("quotaMemory")).toBe("2");
+	});
+	test("Rethrows when asked to", ()=>{
+		const backend = createTinyBackend(0);
+
+		expect(()=>{
+			createCachedVariable("quotaThrow", 1, {}, { backend, quotaFallback: "throw" });
+		}).toThrow("The quota has been exceeded.");
+	});
+});
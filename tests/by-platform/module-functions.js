@@ -27,12 +27,23 @@
 
 
 // Internal Includes
-const { linkEnvironmentVariable, superglobal } = require(`../../src/index.js`);
+const {
+	linkEnvironmentVariable,
+	createCachedVariable,
+	envRef,
+	cachedRef,
+	defineEnvironment,
+	loadEnvironment,
+	EnvironmentValidationError,
+	flushCachedVariables,
+	superglobal,
+} = require(`../../src/index.js`);
 
 // External Includes
 const dedent = require('dedent-js');
 
 // Standard Includes
+const { EventEmitter } = require('events');
 const subprocess = require('child_process');
 const path = require('path');
 const fs = require('fs');
@@ -49,7 +60,7 @@ function levhelp(binding, real, def, env){
 	if (def) args.push(`-d${def}`);
 
 	return new Promise((resolve, reject) => {
-		let proc = subprocess.execFile(
+		subprocess.execFile(
 			"tests/helpers/linkEnvironmentVariable.js", args,
 			{
 				env: Object.assign(env, process.env)
@@ -64,15 +75,50 @@ function levhelp(binding, real, def, env){
 	});
 }
 
-beforeAll(()=>{
-	// Register cleanup action.
-	process.on('exit', () => fs.unlinkSync(filestore));
+/**
+ * @summary - Makes a scope cached variable events can be listened on.
+ * @returns {object} - The "scope", and a "listen" function that calls the
+ *   listener with each event's detail.
+ *
+ * @description - Browsers get DOM events, NodeJS scopes can be
+ *   EventEmitters instead.
+ */
+function makeEventScope(){
+	if (typeof document === "undefined") {
+		const scope = new EventEmitter();
+		return { scope, listen: (type, listener) => scope.on(type, listener) };
+	}
+
+	const scope = document.createElement("div");
+	return { scope, listen: (type, listener) => scope.addEventListener(type, (event) => listener(event.detail)) };
+}
+
+function cvhelp(name, value){
+	let args = [`-n${name}`, `-d${filestore}`];
+	if (value) args.push(`-v${value}`);
+
+	return new Promise((resolve, reject) => {
+		subprocess.execFile("tests/helpers/createCachedVariable.js", args, (error, stdout, stderr) => {
+			if (error)
+				reject(error);
+
+			resolve({stdout, stderr});
+		});
+	});
+}
+
+afterAll(async ()=>{
+	// Only NodeJS saves cached variables in the background.
+	if (flushCachedVariables != null) await flushCachedVariables();
+	// Older versions of NodeJS only have the deprecated recursive rmdir.
+	(fs.rmSync || fs.rmdirSync)(filestore, { recursive: true, force: true });
 });
 
 
 describe("LinkEnvironmentVariable API Function - Platform Dependent", ()=>{
 	test("Reads environment correctly", ()=>{
-	 	Object.assign(process.env, {README: "PASSED"});
+		// Browsers only have the environment we load for them.
+		loadEnvironment("README=PASSED", { override: true });
 		linkEnvironmentVariable("readme", null);
 		expect(superglobal["readme"]).toBe("PASSED");
 	});
@@ -107,13 +153,291 @@ describe("LinkEnvironmentVariable API Function - Platform Dependent", ()=>{
 
 		expect(tt.stdout).toBe('PASSED');
 	});
+	test("Parses and serializes typed values", ()=>{
+		const scope = {};
+		linkEnvironmentVariable("typedPort", null, 8080, scope, { type: "number" });
+		linkEnvironmentVariable("typedDebug", null, "yes", scope, { type: "boolean" });
+		linkEnvironmentVariable("typedHosts", null, ["a", "b"], scope, { type: "list" });
+		linkEnvironmentVariable("typedBlob", null, { a: [1] }, scope, { type: "json" });
+		linkEnvironmentVariable("typedSite", null, "http://localhost/", scope, { type: "url" });
+
+		expect(scope.typedPort).toBe(8080);
+		expect(scope.typedDebug).toBe(true);
+		expect(scope.typedHosts).toEqual(["a", "b"]);
+		expect(scope.typedBlob).toEqual({ a: [1] });
+		expect(scope.typedSite.hostname).toBe("localhost");
+	});
+	test("Rejects malformed typed values by name", ()=>{
+		const scope = {};
+		linkEnvironmentVariable("typedBadPort", null, 1, scope, { type: "number" });
+
+		expect(() => scope.typedBadPort = "eighty").toThrow(/TYPED_BAD_PORT/);
+		expect(scope.typedBadPort).toBe(1);
+	});
+});
+
+describe("defineEnvironment API Function - Platform Dependent", ()=>{
+	test("Binds the schema to a new object", ()=>{
+		const env = defineEnvironment({
+			schemaPort: { type: "number", default: 8080 },
+			schemaHosts: { type: "list", default: ["a", "b"], separator: ";" },
+		});
+
+		expect(env.schemaPort).toBe(8080);
+		expect(env.schemaHosts).toEqual(["a", "b"]);
+		expect(superglobal).not.toHaveProperty("schemaPort");
+	});
+	test("Reports every problem at once", ()=>{
+		let error = null;
+		try {
+			defineEnvironment({
+				schemaRequired: { required: true, description: "Must be set" },
+				schemaBadDefault: { type: "boolean", default: "maybe" },
+				schemaFine: { default: "PASSED" },
+			});
+		}
+		catch (err) { error = err; }
+
+		expect(error).toBeInstanceOf(EnvironmentValidationError);
+		expect(error.problems.map(problem => problem.realName))
+			.toEqual(["SCHEMA_REQUIRED", "SCHEMA_BAD_DEFAULT"]);
+		expect(error.message).toMatch(/Must be set/);
+	});
+	test("Leaves the environment alone when it's invalid", ()=>{
+		expect(() => defineEnvironment({
+			schemaRequiredAgain: { required: true },
+			schemaUnapplied: { type: "list", default: ["FAILED"] },
+		})).toThrow(EnvironmentValidationError);
+
+		expect(envRef("schemaUnapplied", null, null, { type: "list" }).get()).toBe(undefined);
+	});
+});
+
+describe("loadEnvironment API Function - Platform Dependent", ()=>{
+	test("Parses dotenv syntax correctly", ()=>{
+		const parsed = loadEnvironment(dedent(`
+			# A comment
+			export DOTENV_EXPORTED=PASSED
+			DOTENV_UNQUOTED = PASSED # trailing comment
+			DOTENV_SINGLE='$LITERAL\\n'
+			DOTENV_DOUBLE="first\\nsecond"
+			DOTENV_MULTILINE="first
+			second"
+		`));
+
+		expect(parsed).toEqual({
+			DOTENV_EXPORTED: "PASSED",
+			DOTENV_UNQUOTED: "PASSED",
+			DOTENV_SINGLE: "$LITERAL\\n",
+			DOTENV_DOUBLE: "first\nsecond",
+			DOTENV_MULTILINE: "first\nsecond",
+		});
+	});
+	test("Feeds linked variables without overriding by default", ()=>{
+		const scope = {};
+		loadEnvironment("DOTENV_KEPT=PASSED\nDOTENV_REPLACED=FAILED");
+		loadEnvironment("DOTENV_KEPT=FAILED");
+		loadEnvironment("DOTENV_REPLACED=PASSED", { override: true });
+		linkEnvironmentVariable("dotenvKept", null, null, scope);
+		linkEnvironmentVariable("dotenvReplaced", null, null, scope);
+
+		expect(scope.dotenvKept).toBe("PASSED");
+		expect(scope.dotenvReplaced).toBe("PASSED");
+	});
+});
+
+describe("Environment interpolation - Platform Dependent", ()=>{
+	test("Expands references and defaults", ()=>{
+		const scope = {};
+		loadEnvironment(dedent(`
+			INTERPOLATE_HOME=/home/irony
+			INTERPOLATE_PORT=8080
+			INTERPOLATE_DIR=\${INTERPOLATE_HOME}/.myapp
+			INTERPOLATE_URL=http://\${INTERPOLATE_HOST:-localhost}:\${INTERPOLATE_PORT}/
+			INTERPOLATE_ESCAPED=$$\${INTERPOLATE_PORT}
+		`));
+		linkEnvironmentVariable("interpolateDir", null, null, scope, { interpolate: true });
+		linkEnvironmentVariable("interpolateUrl", null, null, scope, { interpolate: true, type: "url" });
+		linkEnvironmentVariable("interpolateEscaped", null, null, scope, { interpolate: true });
+
+		expect(scope.interpolateDir).toBe("/home/irony/.myapp");
+		expect(scope.interpolateUrl.host).toBe("localhost:8080");
+		expect(scope.interpolateEscaped).toBe("$8080");
+	});
+	test("Detects cycles and required references", ()=>{
+		const scope = {};
+		loadEnvironment(dedent(`
+			INTERPOLATE_LOOP_FIRST=\${INTERPOLATE_LOOP_SECOND}
+			INTERPOLATE_LOOP_SECOND=\${INTERPOLATE_LOOP_FIRST}
+			INTERPOLATE_NEEDY=\${INTERPOLATE_MISSING:?must be set}
+		`));
+		linkEnvironmentVariable("interpolateLoopFirst", null, null, scope, { interpolate: true });
+		linkEnvironmentVariable("interpolateNeedy", null, null, scope, { interpolate: true });
+
+		expect(() => scope.interpolateLoopFirst).toThrow(/cycle/);
+		expect(() => scope.interpolateNeedy).toThrow(/INTERPOLATE_MISSING.*must be set/);
+	});
+});
+
+describe("envRef API Function - Platform Dependent", ()=>{
+	test("Reads and writes through the handle", ()=>{
+		loadEnvironment("REF_PORT=8080", { override: true });
+		const port = envRef("refPort", null, 3000, { type: "number" });
+		port.set(port.get() + 1);
+
+		expect(port.name).toBe("refPort");
+		expect(port.realName).toBe("REF_PORT");
+		expect(port.get()).toBe(8081);
+	});
+	test("Resets and deletes the variable", ()=>{
+		const mode = envRef("refMode", null, "DEFAULT");
+		mode.set("CHANGED");
+		mode.reset();
+		expect(mode.get()).toBe("DEFAULT");
+
+		mode.delete();
+		expect(mode.get()).toBe(undefined);
+	});
+	test("Notifies subscribers until they unsubscribe", ()=>{
+		const first = envRef("refWatched", null, 1, { type: "number" });
+		const second = envRef("refWatched", null, 1, { type: "number" });
+		const listener = jest.fn();
+		const unsubscribe = first.subscribe(listener);
+
+		second.set(2);
+		unsubscribe();
+		second.set(3);
+
+		expect(listener.mock.calls).toEqual([[{ name: "refWatched", oldValue: 1, newValue: 2 }]]);
+	});
+	test("Works as a primitive", ()=>{
+		const port = envRef("refPrimitive", null, 8080, { type: "number" });
+		const hosts = envRef("refHosts", null, ["a.com", "b.com"], { type: "list" });
+
+		expect(port + 1).toBe(8081);
+		expect(`:${port}`).toBe(":8080");
+		expect(`${hosts}`).toBe("a.com,b.com");
+	});
+	test("Doesn't touch any scope", ()=>{
+		envRef("refUnbound", null, "PASSED");
+
+		expect("refUnbound" in superglobal).toBe(false);
+	});
+});
+
+describe("cachedRef API Function - Platform Dependent", ()=>{
+	// NodeJS keeps cached variables on disk, so they go in the test store there.
+	const options = { dataStore: filestore };
+
+	test("Reads and writes through the handle", ()=>{
+		const visits = cachedRef("refVisits", 0, options);
+		visits.set(visits.get() + 1);
+
+		expect(visits.name).toBe("refVisits");
+		expect(visits.get()).toBe(1);
+		expect(cachedRef("refVisits", 0, options).get()).toBe(1);
+	});
+	test("Resets and deletes the value", ()=>{
+		const settings = cachedRef("refSettings", { theme: "light" }, options);
+		settings.set({ theme: "dark" });
+		settings.reset();
+		expect(settings.get()).toEqual({ theme: "light" });
+
+		settings.set({ theme: "dark" });
+		settings.delete();
+		expect(settings.get()).toEqual({ theme: "light" });
+		expect(cachedRef("refSettings", null, options).get()).toBe(null);
+	});
+	test("Notifies subscribers until they unsubscribe", ()=>{
+		const first = cachedRef("refWatched", 1, options);
+		const second = cachedRef("refWatched", 1, options);
+		const listener = jest.fn();
+		const unsubscribe = first.subscribe(listener);
+
+		second.set(2);
+		unsubscribe();
+		second.set(3);
+
+		expect(listener.mock.calls).toEqual([[{ name: "refWatched", oldValue: 1, newValue: 2, origin: "local" }]]);
+	});
+	test("Tells the scopes of other handles about changes", ()=>{
+		const { scope, listen } = makeEventScope();
+		const changed = jest.fn();
+		listen("ldChange", changed);
+
+		createCachedVariable("refScoped", 1, scope, options);
+		cachedRef("refScoped", 1, options).set(5);
+		cachedRef("refScoped", 1, Object.assign({ scope: {} }, options)).set(6);
+
+		expect(changed.mock.calls).toEqual([
+			[{ name: "refScoped", oldValue: 1, newValue: 5, origin: "local" }],
+			[{ name: "refScoped", oldValue: 5, newValue: 6, origin: "local" }],
+		]);
+	});
+	test("Works as a primitive", ()=>{
+		const count = cachedRef("refPrimitive", 41, options);
+		const settings = cachedRef("refObject", { theme: "dark" }, options);
+
+		expect(count + 1).toBe(42);
+		expect(`${count}`).toBe("41");
+		expect(`${settings}`).toBe(`{"theme":"dark"}`);
+	});
+	test("Rejects listeners that aren't functions", ()=>{
+		const count = cachedRef("refListener", 0, options);
+
+		expect(() => count.subscribe("nope")).toThrow(TypeError);
+	});
 });
 
 describe("createCachedVariable API Function - Platform Dependent", ()=>{
-	test("Reads cache after restart correctly", ()=>{});
-	test("Reads cache after restart correctly", ()=>{});
-	test("Reads cache after restart correctly", ()=>{});
-	test("Reads cache after restart correctly", ()=>{});
-	test("Reads cache after restart correctly", ()=>{});
-	test("Reads cache after restart correctly", ()=>{});
+	// NodeJS keeps cached variables on disk, so they go in the test store there.
+	const options = { dataStore: filestore };
+
+	test("Reads cache after restart correctly", async ()=>{
+		await cvhelp("restarted", JSON.stringify({ passed: true }));
+		const restarted = await cvhelp("restarted");
+
+		expect(JSON.parse(restarted.stdout)).toEqual({ passed: true });
+	});
+	test("Default works correctly", ()=>{
+		const scope = {};
+		createCachedVariable("cachedDefault", "PASSED", scope, options);
+
+		expect(scope.cachedDefault).toBe("PASSED");
+	});
+	test("Reads and writes json values correctly", ()=>{
+		const scope = {};
+		createCachedVariable("cachedJson", null, scope, options);
+		scope.cachedJson = { list: [1, "two"], when: new Date(0) };
+
+		expect(scope.cachedJson).toEqual({ list: [1, "two"], when: "1970-01-01T00:00:00.000Z" });
+	});
+	test("Keeps cached values over the default", ()=>{
+		const first = {}, second = {};
+		createCachedVariable("cachedKept", "DEFAULT", first, options);
+		first.cachedKept = "PASSED";
+		createCachedVariable("cachedKept", "DEFAULT", second, options);
+
+		expect(second.cachedKept).toBe("PASSED");
+	});
+	test("Dispatches read and write events to the scope", ()=>{
+		const { scope, listen } = makeEventScope();
+		const written = jest.fn(), read = jest.fn();
+		listen("ldWrite", written);
+		listen("ldRead", read);
+
+		createCachedVariable("cachedEvents", 1, scope, options);
+		scope.cachedEvents = 2;
+		scope.cachedEvents;
+
+		expect(written.mock.calls).toEqual([[{ name: "cachedEvents", value: 1 }], [{ name: "cachedEvents", value: 2 }]]);
+		expect(read).toHaveBeenCalledWith({ name: "cachedEvents", value: 2 });
+	});
+	test("Doesn't share values with the cache", ()=>{
+		const scope = {};
+		createCachedVariable("cachedCopy", { count: 1 }, scope, options);
+		scope.cachedCopy.count = 2;
+
+		expect(scope.cachedCopy).toEqual({ count: 1 });
+	});
 });
@@ -0,0 +1,164 @@
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+const {
+	createCachedVariable,
+	configureCache,
+	flushCachedVariables,
+	makePersistentIrony,
+	MigrationError,
+} = require(`../../../src/core.js`);
+
+// External Includes
+//...
+
+// Standard Includes
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+
+// Cached variables save in the background, so the store outlives each test.
+const dataStore = fs.mkdtempSync(path.join(os.tmpdir(), "variable-irony-test-"));
+const environment = Object.assign({}, process.env);
+
+afterAll(async ()=>{
+	await flushCachedVariables();
+	// Older versions of NodeJS only have the deprecated recursive rmdir.
+	(fs.rmSync || fs.rmdirSync)(dataStore, { recursive: true, force: true });
+});
+
+beforeEach(()=>{
+	configureCache({ ttl: null, maxEntries: null, maxBytes: null });
+});
+
+afterEach(()=>{
+	jest.restoreAllMocks();
+	process.env = Object.assign({}, environment);
+});
+
+
+describe("createCachedVariable Storage - Node", ()=>{
+	test("Emits events to EventEmitter scopes", ()=>{
+		const scope = new EventEmitter();
+		const written = jest.fn();
+		scope.on("ldWrite", written);
+
+		createCachedVariable("emitted", 1, scope, { dataStore, namespace: "emitter" });
+		scope.emitted = 2;
+
+		expect(written).toHaveBeenCalledWith({ name: "emitted", value: 2 });
+	});
+	test("Keeps namespaces apart", ()=>{
+		const first = {}, second = {};
+
+		createCachedVariable("theme", "light", first, { dataStore, namespace: "first" });
+		createCachedVariable("theme", "dark", second, { dataStore, namespace: "second" });
+		first.theme = "blue";
+
+		expect(second.theme).toBe("dark");
+	});
+	test("Keeps each program's cache apart by default", ()=>{
+		const home = path.join(dataStore, "home");
+		jest.spyOn(os, 'platform').mockReturnValue("linux");
+		jest.spyOn(os, 'homedir').mockReturnValue(home);
+		delete process.env.XDG_CACHE_HOME;
+
+		createCachedVariable("programmed", 1, {}, { namespace: "programs" });
+
+		expect(fs.readdirSync(path.join(home, ".cache"))).toEqual(["variable-irony"]);
+	});
+	test("Refuses unknown storage", ()=>{
+		expect(()=>{
+			createCachedVariable("unknown", 1, {}, { dataStore, storage: "floppy" });
+		}).toThrow(/floppy/);
+	});
+});
+
+
+describe("createCachedVariable Cache Limits - Node", ()=>{
+	test("Expired values read as the initializer", ()=>{
+		const scope = new EventEmitter();
+		const expired = jest.fn();
+		scope.on("ldExpire", expired);
+
+		createCachedVariable("ttlKip", "DEFAULT", scope, { dataStore, namespace: "ttl", ttl: -1 });
+		scope.ttlKip = "PASSED";
+
+		expect(scope.ttlKip).toBe("DEFAULT");
+		expect(expired).toHaveBeenCalledWith({ name: "ttlKip", value: "PASSED" });
+	});
+	test("Evicts the least recently used values", async ()=>{
+		const scope = new EventEmitter();
+		const evicted = jest.fn();
+		scope.on("ldEvict", evicted);
+
+		configureCache({ maxEntries: 2 });
+		createCachedVariable("lruFirst", 1, scope, { dataStore, namespace: "lru" });
+		createCachedVariable("lruSecond", 2, scope, { dataStore, namespace: "lru" });
+		scope.lruSecond = 20;
+		void scope.lruFirst; // Reading it makes the second variable the oldest.
+		createCachedVariable("lruThird", 3, scope, { dataStore, namespace: "lru" });
+
+		expect(evicted).toHaveBeenCalledWith({ name: "lruSecond" });
+		await flushCachedVariables();
+		expect(makePersistentIrony("variable-irony.lru", { dataStore }).store.lruSecond).toBeUndefined();
+		expect(scope.lruSecond).toBe(2);
+		expect(scope.lruFirst).toBe(1);
+	});
+});
+
+
+describe("createCachedVariable Migrations - Node", ()=>{
+	const options = { dataStore, namespace: "migrations" };
+
+	test("Migrates values stored with an older version", ()=>{
+		const scope = new EventEmitter();
+		const migrated = jest.fn();
+		scope.on("ldMigrate", migrated);
+
+		createCachedVariable("migrated", "Ruby Rose", {}, options);
+		createCachedVariable("migrated", null, scope, Object.assign({
+			version: 1,
+			migrations: { 1: (name) => name.split(" ") },
+		}, options));
+
+		expect(scope.migrated).toEqual(["Ruby", "Rose"]);
+		expect(migrated).toHaveBeenCalledWith({ name: "migrated", from: 0, to: 1 });
+	});
+	test("Refuses values stored with a newer version", ()=>{
+		createCachedVariable("newer", 1, {}, Object.assign({ version: 2 }, options));
+
+		expect(()=>{
+			createCachedVariable("newer", 1, {}, Object.assign({ version: 1 }, options));
+		}).toThrow(MigrationError);
+	});
+});
@@ -0,0 +1,214 @@
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+//...
+
+// External Includes
+//...
+
+// Standard Includes
+const subprocess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+
+// Every test gets its own os.tmpdir() and a fresh copy of core.js, since
+// core.js remembers the data stores it found.
+const environment = Object.assign({}, process.env);
+let sandbox = null;
+
+function loadCore(){
+	let core = null;
+	jest.isolateModules(() => { core = require(`../../../src/core.js`); });
+	return core;
+}
+
+beforeEach(()=>{
+	sandbox = fs.mkdtempSync(path.join(os.tmpdir(), "variable-irony-test-"));
+	jest.spyOn(os, 'tmpdir').mockReturnValue(sandbox);
+});
+
+afterEach(()=>{
+	jest.restoreAllMocks();
+	process.env = Object.assign({}, environment);
+	fs.rmdirSync(sandbox, { recursive: true });
+});
+
+
+describe("Temporary Data Stores - Node", ()=>{
+	const { username } = os.userInfo();
+	const signature = `recoveryU${username}`;
+	// A process that has come and gone leaves a PID nothing is using.
+	const deadPid = subprocess.spawnSync(process.execPath, ["-e", ""]).pid;
+
+	function leaveStore(instance, startTime, pid, suffix){
+		const location = path.join(sandbox, `${signature}I${instance}T${startTime}PID${pid}-${suffix}`);
+		fs.mkdirSync(location);
+		fs.writeFileSync(path.join(location, "left.irony"), `IRONY:json\n{"meta":{},"context":{"suffix":"${suffix}"}}`);
+		return location;
+	}
+
+	test("Recovers the newest store a dead process left behind", ()=>{
+		leaveStore(0, 1000, deadPid, "older");
+		leaveStore(0, 2000, deadPid, "newer");
+
+		const { store, rhetorical } = loadCore()
+			.makeTemporaryIrony("left", { programName: "recovery", attemptRecovery: true });
+		const dirname = path.basename(path.dirname(rhetorical.fileLocation));
+
+		expect(store.suffix).toBe("newer");
+		expect(dirname).toMatch(new RegExp(`^${signature}I0T\\d+PID${process.pid}-newer$`));
+		expect(fs.readdirSync(sandbox)).toContain(`${signature}I0T1000PID${deadPid}-older`);
+	});
+	test("Leaves the stores of running processes alone", ()=>{
+		const running = leaveStore(0, 1000, process.ppid, "running");
+
+		const { store, rhetorical } = loadCore()
+			.makeTemporaryIrony("left", { programName: "recovery", attemptRecovery: true });
+		const dirname = path.basename(path.dirname(rhetorical.fileLocation));
+
+		expect(store.suffix).toBe(undefined);
+		expect(dirname).toMatch(new RegExp(`^${signature}I1T`));
+		expect(fs.existsSync(running)).toBe(true);
+	});
+	test("Reuses the store the caller names", ()=>{
+		leaveStore(0, 2000, deadPid, "newer");
+		const named = leaveStore(3, 1000, deadPid, "named");
+
+		const { store, rhetorical } = loadCore()
+			.makeTemporaryIrony("left", { programName: "recovery", attemptRecovery: path.basename(named) });
+		const dirname = path.basename(path.dirname(rhetorical.fileLocation));
+
+		expect(store.suffix).toBe("named");
+		expect(dirname).toMatch(new RegExp(`^${signature}I0T\\d+PID${process.pid}-named$`));
+		expect(fs.existsSync(named)).toBe(false);
+	});
+	test("Only reuses named stores that are ours to take", ()=>{
+		const core = loadCore();
+		const running = leaveStore(0, 1000, process.ppid, "running");
+		const recover = (attemptRecovery, programName = "recovery") =>
+			core.makeTemporaryIrony("left", { programName, attemptRecovery });
+
+		expect(() => recover(`../${path.basename(sandbox)}`)).toThrow(/isn't a temporary data store/);
+		expect(() => recover(path.basename(running), "another")).toThrow(/isn't a temporary data store/);
+		expect(() => recover(path.basename(running))).toThrow(/still in use/);
+		expect(fs.existsSync(running)).toBe(true);
+	});
+	test("Gives each program one store, and won't recover into it later", ()=>{
+		const core = loadCore();
+		const location = (name, options) => path.dirname(core.makeTemporaryIrony(name, options).rhetorical.fileLocation);
+		const store = location("first", { programName: "recovery" });
+
+		expect(location("second", { programName: "recovery" })).toBe(store);
+		expect(location("third", { programName: "another" })).not.toBe(store);
+		expect(() => location("fourth", { programName: "recovery", attemptRecovery: true }))
+			.toThrow(/can't recover another/);
+	});
+	test("Gives instances starting together their own numbers", async ()=>{
+		const instances = [0, 1, 2, 3].map(() => subprocess.spawn(
+			"tests/helpers/makeTemporaryIrony.js", ["-pconcurrent"],
+			{ env: Object.assign({}, process.env, { TMPDIR: sandbox }) }
+		));
+
+		const dirnames = await Promise.all(instances.map((instance) => new Promise((resolve, reject) => {
+			instance.on('error', reject);
+			instance.stdout.once('data', (data) => resolve(String(data).trim()));
+		})));
+		await Promise.all(instances.map((instance) => new Promise((resolve) => {
+			instance.on('exit', resolve);
+			instance.stdin.end();
+		})));
+
+		const numbers = dirnames.map((dirname) => Number(dirname.match(/I(\d+)T/)[1]));
+		expect(numbers.sort()).toEqual([0, 1, 2, 3]);
+	});
+});
+
+describe("Persistent Data Stores - Node", ()=>{
+	// Pretends to be the platform, with the given environment variables.
+	function persistentStore(platform, variables, options){
+		const home = path.join(sandbox, "home");
+		jest.spyOn(os, 'platform').mockReturnValue(platform);
+		jest.spyOn(os, 'homedir').mockReturnValue(home);
+
+		for (const name of ["XDG_DATA_HOME", "XDG_CONFIG_HOME", "XDG_CACHE_HOME", "XDG_STATE_HOME", "APPDATA", "LOCALAPPDATA"])
+			delete process.env[name];
+		for (const [name, value] of Object.entries(variables))
+			process.env[name] = value.replace("<sandbox>", sandbox);
+
+		const { rhetorical } = loadCore().makePersistentIrony("settings", Object.assign({ programName: "irony" }, options));
+		return path.relative(sandbox, path.dirname(rhetorical.fileLocation));
+	}
+
+	test.each([
+		["data", "home/.local/share/irony"],
+		["config", "home/.config/irony"],
+		["cache", "home/.cache/irony"],
+		["state", "home/.local/state/irony"],
+	])("Puts %s stores in the XDG defaults on Linux", (kind, expected)=>{
+		expect(persistentStore("linux", {}, { kind })).toBe(expected);
+	});
+	test("Honors absolute XDG variables on Linux", ()=>{
+		const variables = { XDG_CACHE_HOME: "<sandbox>/xdg-cache", XDG_STATE_HOME: "relative/state" };
+
+		expect(persistentStore("linux", variables, { kind: "cache", vendor: "m3tior" }))
+			.toBe("xdg-cache/m3tior/irony");
+		// The spec says relative paths are invalid and should be ignored.
+		expect(persistentStore("linux", variables, { kind: "state" }))
+			.toBe("home/.local/state/irony");
+	});
+	test.each([
+		["data", "home/Library/Application Support/irony"],
+		["config", "home/Library/Preferences/irony"],
+		["cache", "home/Library/Caches/irony"],
+		["state", "home/Library/Application Support/irony/State"],
+	])("Puts %s stores in the Library on MacOS", (kind, expected)=>{
+		expect(persistentStore("darwin", {}, { kind })).toBe(expected);
+	});
+	test.each([
+		["data", "roaming/m3tior/irony/Data"],
+		["config", "roaming/m3tior/irony/Config"],
+		["cache", "local/m3tior/irony/Cache"],
+		["state", "local/m3tior/irony/State"],
+	])("Puts %s stores in APPDATA or LOCALAPPDATA on Windows", (kind, expected)=>{
+		const variables = { APPDATA: "<sandbox>/roaming", LOCALAPPDATA: "<sandbox>/local" };
+
+		expect(persistentStore("win32", variables, { kind, vendor: "m3tior" })).toBe(expected);
+	});
+	test("Falls back to the profile on Windows", ()=>{
+		expect(persistentStore("win32", {}, { kind: "config" }))
+			.toBe("home/AppData/Roaming/irony/Config");
+	});
+	test("Refuses unknown kinds", ()=>{
+		expect(() => persistentStore("linux", {}, { kind: "logs" })).toThrow(/Unknown persistent data store kind/);
+	});
+});
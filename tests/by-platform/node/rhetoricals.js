@@ -0,0 +1,571 @@
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+const {
+	makeTemporaryIrony,
+	makePersistentIrony,
+	DecryptionError,
+	MigrationError,
+} = require(`../../../src/core.js`);
+
+// External Includes
+//...
+
+// Standard Includes
+const subprocess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+
+
+let dataStore = null;
+
+beforeEach(()=>{
+	dataStore = fs.mkdtempSync(path.join(os.tmpdir(), "variable-irony-test-"));
+});
+
+afterEach(()=>{
+	fs.rmdirSync(dataStore, { recursive: true });
+});
+
+
+describe("Rhetoricals - Node", ()=>{
+	test("Saves and loads a temporary store", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("roundTrip", { dataStore });
+		store.count = 3;
+		await rhetorical.save();
+
+		store.count = 4;
+		expect(await rhetorical.load()).toBe(true);
+		expect(store.count).toBe(3);
+	});
+	test("Falls back to the backup when the store is corrupt", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("corrupted", { dataStore });
+		const recovering = jest.fn();
+		rhetorical.on("recovering-irony", recovering);
+
+		store.first = true;
+		await rhetorical.save();
+		store.second = true;
+		await rhetorical.save();
+		fs.writeFileSync(rhetorical.fileLocation, "IRONY:json\n{ truncat");
+
+		expect(await rhetorical.load()).toBe(true);
+		expect(store.first).toBe(true);
+		expect(store.second).toBeUndefined();
+		expect(recovering).toHaveBeenCalledTimes(1);
+	});
+	test("Keeps the keys of processes saving at the same time", async ()=>{
+		const instances = ["first", "second"].map((key) => subprocess.spawn(
+			"tests/helpers/saveRhetorical.js", [`-d${dataStore}`, "-nshared", `-k${key}`]
+		));
+
+		await Promise.all(instances.map((instance) => new Promise((resolve, reject) => {
+			instance.on('error', reject);
+			instance.stdout.once('data', resolve);
+		})));
+		await Promise.all(instances.map((instance) => new Promise((resolve) => {
+			instance.on('exit', resolve);
+			instance.stdin.end();
+		})));
+
+		const { store } = makePersistentIrony("shared", { dataStore });
+		expect(store.first).toBe(true);
+		expect(store.second).toBe(true);
+	});
+	test("Lets calls inside withLock through without waiting", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("reentrant", { dataStore, lock: { timeout: 500 } });
+
+		const result = await rhetorical.withLock(async () => {
+			store.nested = true;
+			await rhetorical.save();
+			return rhetorical.withLock(() => rhetorical.load());
+		});
+
+		expect(result).toBe(true);
+		expect(fs.existsSync(`${rhetorical.fileLocation}.lock`)).toBe(false);
+	});
+	test("Makes saves from outside withLock wait their turn", async ()=>{
+		const { rhetorical } = makeTemporaryIrony("queued", { dataStore });
+		const order = [];
+		let finish = null;
+
+		const locked = rhetorical.withLock(async () => {
+			order.push("locked");
+			await new Promise((resolve) => { finish = resolve; });
+			order.push("unlocked");
+		});
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		const saved = (async () => {
+			await rhetorical.save();
+			order.push("saved");
+		})();
+
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		finish();
+		await Promise.all([locked, saved]);
+
+		expect(order).toEqual(["locked", "unlocked", "saved"]);
+	});
+	test("Keeps long critical sections from looking stale", async ()=>{
+		const lock = { stale: 150, retryDelay: 10 };
+		const first = makeTemporaryIrony("longLock", { dataStore, lock });
+		const second = makeTemporaryIrony("longLock", { dataStore, lock });
+		const order = [];
+
+		const slow = first.rhetorical.withLock(async () => {
+			order.push("first");
+			await new Promise((resolve) => setTimeout(resolve, 500));
+			order.push("first done");
+		});
+		await new Promise((resolve) => setTimeout(resolve, 50));
+		const waiting = second.rhetorical.withLock(() => order.push("second"));
+
+		await Promise.all([slow, waiting]);
+		expect(order).toEqual(["first", "first done", "second"]);
+	});
+	test("Round trips structured values with tagged-json", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("tagged", {
+			dataStore,
+			serializer: "tagged-json",
+		});
+		store.when = new Date(0);
+		store.seen = new Set(["a", "b"]);
+		store.big = BigInt(2) ** BigInt(70);
+		await rhetorical.save();
+		await rhetorical.load();
+
+		expect(store.when).toEqual(new Date(0));
+		expect(store.seen).toEqual(new Set(["a", "b"]));
+		expect(store.big).toBe(BigInt(2) ** BigInt(70));
+	});
+	test("Round trips structured values with v8", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("v8", {
+			dataStore,
+			serializer: "v8",
+		});
+		store.when = new Date(0);
+		store.lookup = new Map([["a", 1]]);
+		store.bytes = new Uint8Array([1, 2, 3]);
+		await rhetorical.save();
+		await rhetorical.load();
+
+		const header = fs.readFileSync(rhetorical.fileLocation).toString("latin1", 0, 9);
+		expect(header).toBe("IRONY:v8\n");
+		expect(store.when).toEqual(new Date(0));
+		// v8.deserialize builds its values outside of jest's sandbox.
+		expect(Array.from(store.lookup)).toEqual([["a", 1]]);
+		expect(Array.from(store.bytes)).toEqual([1, 2, 3]);
+	});
+	test("Loads files by the format named in their header", async ()=>{
+		const writer = makeTemporaryIrony("headers", { dataStore, serializer: "v8" });
+		writer.store.lookup = new Map([["a", 1]]);
+		await writer.rhetorical.save();
+
+		const { store, rhetorical } = makeTemporaryIrony("headers", {
+			dataStore,
+			serializer: "tagged-json",
+		});
+		expect(await rhetorical.load()).toBe(true);
+		expect(Array.from(store.lookup)).toEqual([["a", 1]]);
+
+		fs.writeFileSync(rhetorical.fileLocation, JSON.stringify({ old: true }));
+		await rhetorical.load();
+		expect(store.old).toBe(true);
+
+		fs.writeFileSync(rhetorical.fileLocation, "IRONY:yaml\nold: true");
+		await expect(rhetorical.load()).rejects.toThrow(/unknown serializer "yaml"/);
+	});
+	test("Reports writes to nested objects with their path", ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("nested", { dataStore });
+		const writing = jest.fn();
+
+		store.user = { prefs: { theme: "light" } };
+		rhetorical.on("writing-irony", writing);
+		store.user.prefs.theme = "dark";
+
+		expect(writing).toHaveBeenCalledWith("user", "dark", ["user", "prefs", "theme"]);
+		expect(rhetorical._context.user.prefs.theme).toBe("dark");
+	});
+	test("Reports array mutators once per call", ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("arrays", { dataStore });
+		const writing = jest.fn();
+
+		store.tags = ["a"];
+		rhetorical.on("writing-irony", writing);
+		store.tags.push("b", "c");
+		store.tags.splice(0, 1);
+
+		expect(writing).toHaveBeenCalledTimes(2);
+		expect(writing.mock.calls[1][2]).toEqual(["tags"]);
+		expect(rhetorical._context.tags).toEqual(["b", "c"]);
+	});
+	test("Passes descriptors without values to the store", ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("descriptors", { dataStore });
+		const writing = jest.fn();
+
+		store.hidden = { deep: 1 };
+		store.nested = {};
+		rhetorical.on("writing-irony", writing);
+		Object.defineProperty(store, "hidden", { enumerable: false });
+		Object.defineProperty(store.nested, "computed", { get: () => 2, configurable: true });
+
+		expect(Object.keys(store)).toEqual(["nested"]);
+		expect(store.hidden.deep).toBe(1);
+		expect(store.nested.computed).toBe(2);
+		expect(writing).not.toHaveBeenCalled();
+	});
+	test("Describes non-configurable keys as they are", ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("frozen", { dataStore });
+
+		Object.defineProperty(store, "fixed", { value: { deep: 1 }, enumerable: true });
+		const descriptor = Object.getOwnPropertyDescriptor(store, "fixed");
+
+		expect(descriptor.value).toBe(rhetorical._context.fixed);
+		expect(descriptor.configurable).toBe(false);
+	});
+	test("Reports and saves deletes", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("deletes", { dataStore });
+		const deleting = jest.fn();
+
+		store.keep = 1;
+		store.drop = 2;
+		await rhetorical.save();
+		rhetorical.on("deleting-irony", deleting);
+		delete store.drop;
+
+		expect(deleting).toHaveBeenCalledWith("drop", 2, ["drop"]);
+		expect("drop" in store).toBe(false);
+		expect(Object.keys(store)).toEqual(["keep"]);
+
+		await rhetorical.save();
+		store.drop = 3;
+		await rhetorical.load();
+		expect(store.drop).toBeUndefined();
+	});
+	test("Merges writes within a tick into one save", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("batched", {
+			dataStore,
+			saveFrequency: "on-write",
+		});
+		const publishing = jest.fn();
+		rhetorical.on("publishing-irony", publishing);
+
+		for (let index = 0; index < 100; index++)
+			store.index = index;
+		await new Promise((resolve) => setImmediate(resolve));
+		await rhetorical.flush();
+
+		expect(publishing).toHaveBeenCalledTimes(1);
+	});
+	test("Flush saves debounced writes right away", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("debounced", {
+			dataStore,
+			saveFrequency: { mode: "debounce", wait: 60000 },
+		});
+
+		store.pending = true;
+		await rhetorical.flush();
+
+		const reloaded = makeTemporaryIrony("debounced", { dataStore });
+		await reloaded.rhetorical.load();
+		expect(reloaded.store.pending).toBe(true);
+	});
+	test("Flush saves debounced deletes right away", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("debouncedDelete", {
+			dataStore,
+			saveFrequency: { mode: "debounce", wait: 60000 },
+		});
+		store.doomed = true;
+		await rhetorical.flush();
+
+		delete store.doomed;
+		const reloaded = makeTemporaryIrony("debouncedDelete", { dataStore });
+		await reloaded.rhetorical.load();
+		expect(reloaded.store.doomed).toBe(true);
+
+		await rhetorical.flush();
+		await reloaded.rhetorical.load();
+		expect("doomed" in reloaded.store).toBe(false);
+	});
+	test("Saves expired keys as deletes", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("expired", {
+			dataStore,
+			saveFrequency: { mode: "debounce", wait: 60000 },
+		});
+		store.stale = true;
+		await rhetorical.flush();
+
+		rhetorical.expire("stale", -1);
+		expect(store.stale).toBeUndefined();
+		await rhetorical.flush();
+
+		const reloaded = makeTemporaryIrony("expired", { dataStore });
+		await reloaded.rhetorical.load();
+		expect("stale" in reloaded.store).toBe(false);
+
+		await rhetorical.load();
+		expect("stale" in store).toBe(false);
+	});
+	test("Tries failed automatic saves again", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("retried", {
+			dataStore,
+			saveFrequency: { mode: "debounce", wait: 20 },
+		});
+		const failing = jest.fn();
+		rhetorical.on("failing-irony", failing);
+
+		const full = Object.assign(Error("No space left on device"), { code: "ENOSPC" });
+		const open = jest.spyOn(fs.promises, "open").mockRejectedValueOnce(full);
+		store.survivor = true;
+		await new Promise((resolve) => setTimeout(resolve, 200));
+		open.mockRestore();
+
+		expect(failing).toHaveBeenCalledWith(full);
+		const reloaded = makeTemporaryIrony("retried", { dataStore });
+		await reloaded.rhetorical.load();
+		expect(reloaded.store.survivor).toBe(true);
+	});
+	test("Keeps unsaved writes when another process saves", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("watched", {
+			dataStore,
+			saveFrequency: { mode: "debounce", wait: 60000 },
+		});
+		store.shared = 1;
+		await rhetorical.flush();
+
+		const other = makeTemporaryIrony("watched", { dataStore });
+		await other.rhetorical.load();
+
+		rhetorical.watch();
+		store.local = "unsaved";
+		const changing = new Promise((resolve) => {
+			rhetorical.once("changing-irony", (...change) => resolve(change));
+		});
+		other.store.shared = 2;
+		await other.rhetorical.save();
+
+		expect(await changing).toEqual(["shared", 1, 2]);
+		expect(store.local).toBe("unsaved");
+
+		rhetorical.unwatch();
+		await rhetorical.flush();
+		await other.rhetorical.load();
+		expect(other.store.shared).toBe(2);
+		expect(other.store.local).toBe("unsaved");
+	});
+	test("Doesn't reload after its own saves", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("watchedSelf", { dataStore });
+		const changing = jest.fn(), catchingUp = jest.spyOn(rhetorical, "_catchUp");
+		rhetorical.on("changing-irony", changing);
+
+		rhetorical.watch();
+		store.mine = 1;
+		await rhetorical.save();
+		store.mine = 2;
+		await rhetorical.save();
+		await new Promise((resolve) => setTimeout(resolve, 200));
+		rhetorical.unwatch();
+
+		expect(catchingUp).not.toHaveBeenCalled();
+		expect(changing).not.toHaveBeenCalled();
+		expect(store.mine).toBe(2);
+	});
+	test("Keeps saved keys when another process saves an older copy", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("watchedStale", { dataStore });
+		const stale = makeTemporaryIrony("watchedStale", { dataStore });
+		store.shared = 1;
+		await rhetorical.save();
+
+		rhetorical.watch();
+		store.mine = "saved";
+		await rhetorical.save();
+		const changing = new Promise((resolve) => {
+			rhetorical.once("changing-irony", (...change) => resolve(change));
+		});
+		stale.store.theirs = "saved";
+		await stale.rhetorical.save();
+
+		expect(await changing).toEqual(["theirs", undefined, "saved"]);
+		rhetorical.unwatch();
+		// The reload still holds the lock, let it finish before cleaning up.
+		await rhetorical.withLock(() => {});
+		expect(store.mine).toBe("saved");
+		expect(store.shared).toBe(1);
+		expect(stale.store.mine).toBe("saved");
+	});
+	test("Commits transactions in one step", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("committed", { dataStore });
+		const committing = jest.fn();
+		rhetorical.on("committing-irony", committing);
+
+		store.savings = 20;
+		store.checking = 0;
+		await rhetorical.transaction(async (draft)=>{
+			draft.savings -= 10;
+			await null;
+			expect(store.savings).toBe(20);
+			draft.checking += 10;
+		});
+
+		expect(store.savings).toBe(10);
+		expect(store.checking).toBe(10);
+		expect(committing).toHaveBeenCalledTimes(1);
+		expect(committing.mock.calls[0][0]).toHaveLength(2);
+	});
+	test("Rolls back transactions that throw", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("rolledBack", { dataStore });
+
+		store.savings = 20;
+		await expect(rhetorical.transaction((draft)=>{
+			draft.savings = 0;
+			throw new Error("Insufficient funds");
+		})).rejects.toThrow("Insufficient funds");
+
+		expect(store.savings).toBe(20);
+	});
+	test("Keeps a bounded history of saved versions", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("history", {
+			dataStore,
+			history: { limit: 2, storage: "files" },
+		});
+
+		for (const theme of ["light", "dark", "solarized"]) {
+			store.theme = theme;
+			await rhetorical.save();
+		}
+
+		const versions = (await rhetorical.snapshots()).map(({ version }) => version);
+		expect(versions).toEqual([2, 3]);
+		expect(fs.existsSync(`${rhetorical.fileLocation}.1`)).toBe(false);
+		expect(await rhetorical.diff(2, 3)).toEqual([
+			{ key: "theme", oldValue: "dark", newValue: "solarized", deleted: false },
+		]);
+	});
+	test("Reverts to an earlier version", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("reverted", { dataStore, history: 5 });
+		const writing = jest.fn();
+
+		store.theme = "light";
+		await rhetorical.save();
+		store.theme = "dark";
+		store.font = "serif";
+		await rhetorical.save();
+
+		rhetorical.on("writing-irony", writing);
+		rhetorical.on("deleting-irony", writing);
+		await rhetorical.revert(1);
+
+		expect(store.theme).toBe("light");
+		expect("font" in store).toBe(false);
+		expect(writing).toHaveBeenCalledTimes(2);
+		expect(await rhetorical.snapshots()).toHaveLength(3);
+	});
+	test("Encrypts stores at rest", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("encrypted", {
+			dataStore,
+			encryption: { passphrase: "correct horse" },
+		});
+		store.token = "hunter2";
+		await rhetorical.save();
+
+		expect(fs.readFileSync(rhetorical.fileLocation).includes("hunter2")).toBe(false);
+		expect(fs.statSync(rhetorical.fileLocation).mode & 0o777).toBe(0o600);
+
+		const reloaded = makeTemporaryIrony("encrypted", {
+			dataStore,
+			encryption: { passphrase: "correct horse" },
+		});
+		await reloaded.rhetorical.load();
+		expect(reloaded.store.token).toBe("hunter2");
+	});
+	test("Refuses to load with the wrong key", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("wrongKey", {
+			dataStore,
+			encryption: { passphrase: "correct horse" },
+		});
+		store.token = "hunter2";
+		await rhetorical.save();
+
+		const intruder = makeTemporaryIrony("wrongKey", {
+			dataStore,
+			encryption: { passphrase: "battery staple" },
+		});
+		await expect(intruder.rhetorical.load()).rejects.toThrow(DecryptionError);
+		expect(intruder.store.token).toBeUndefined();
+	});
+	test("Doesn't fall back to the backup when decrypting fails", async ()=>{
+		const { store, rhetorical } = makeTemporaryIrony("tampered", {
+			dataStore,
+			encryption: { passphrase: "correct horse" },
+		});
+		const recovering = jest.fn();
+		rhetorical.on("recovering-irony", recovering);
+
+		store.token = "hunter2";
+		await rhetorical.save();
+		store.token = "hunter3";
+		await rhetorical.save();
+
+		const contents = fs.readFileSync(rhetorical.fileLocation);
+		contents[contents.length - 1] ^= 0xFF;
+		fs.writeFileSync(rhetorical.fileLocation, contents);
+
+		await expect(rhetorical.load()).rejects.toThrow(DecryptionError);
+		expect(()=>rhetorical.loadSync()).toThrow(DecryptionError);
+		expect(store.token).toBe("hunter3");
+		expect(recovering).not.toHaveBeenCalled();
+	});
+	test("Persistent stores load what was saved at construction", async ()=>{
+		const first = makePersistentIrony("settings", { dataStore });
+		first.store.theme = "dark";
+		await first.rhetorical.save();
+
+		const second = makePersistentIrony("settings", { dataStore });
+		expect(second.store.theme).toBe("dark");
+	});
+	test("Migrates stores saved with an older version", async ()=>{
+		const old = makePersistentIrony("migrated", { dataStore });
+		old.store.name = "Ada Lovelace";
+		await old.rhetorical.save();
+
+		const { store, rhetorical } = makePersistentIrony("migrated", {
+			dataStore,
+			version: 1,
+			migrations: {
+				1: ({ name }) => ({ user: { first: name.split(" ")[0] } }),
+			},
+		});
+		await rhetorical.flush();
+
+		expect(store.user).toEqual({ first: "Ada" });
+		expect(()=>makePersistentIrony("migrated", { dataStore })).toThrow(MigrationError);
+	});
+});
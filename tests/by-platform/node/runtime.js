@@ -0,0 +1,108 @@
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+
+// strict mode for optimization
+'use strict';
+
+
+
+// Internal Includes
+const {
+	superglobal,
+	detectRuntime,
+	resolvePlatform,
+} = require(`../../../src/universal.js`);
+
+// External Includes
+//...
+
+// Standard Includes
+//...
+
+
+
+// Each test pretends to be another runtime by adding its globals.
+let faked = [];
+
+function fake(name, value){
+	faked.push(name);
+	superglobal[name] = value;
+}
+
+afterEach(()=>{
+	for (const name of faked) delete superglobal[name];
+	delete process.env.VARIABLE_IRONY_PLATFORM;
+	faked = [];
+});
+
+
+describe("Runtime Detection - Node", ()=>{
+	test("Detects NodeJS", ()=>{
+		expect(detectRuntime()).toBe("node");
+		expect(resolvePlatform()).toBe("node");
+	});
+	test("Detects Deno before NodeJS", ()=>{
+		fake("Deno", { version: { deno: "2.0.0" } });
+
+		expect(detectRuntime()).toBe("deno");
+		expect(resolvePlatform()).toBe("browser");
+	});
+	test("Detects Bun before NodeJS", ()=>{
+		fake("Bun", { version: "1.0.0" });
+
+		expect(detectRuntime()).toBe("bun");
+		expect(resolvePlatform()).toBe("node");
+	});
+	test("Detects workers without a window", ()=>{
+		// Workers' global scope is an instance of WorkerGlobalScope.
+		fake("WorkerGlobalScope", class WorkerGlobalScope {
+			static [Symbol.hasInstance](object){ return object === superglobal; }
+		});
+
+		expect(detectRuntime()).toBe("worker");
+		expect(resolvePlatform()).toBe("browser");
+	});
+	test("Can be forced", ()=>{
+		process.env.VARIABLE_IRONY_PLATFORM = "browser";
+		expect(resolvePlatform()).toBe("browser");
+
+		fake("VARIABLE_IRONY_PLATFORM", "node");
+		expect(resolvePlatform()).toBe("node");
+	});
+	test("Refuses unknown forced platforms", ()=>{
+		fake("VARIABLE_IRONY_PLATFORM", "toaster");
+
+		expect(() => resolvePlatform()).toThrow(/toaster/);
+	});
+	test("Gives the index the forced platform's API", ()=>{
+		fake("VARIABLE_IRONY_PLATFORM", "browser");
+
+		jest.isolateModules(()=>{
+			const api = require(`../../../src/index.js`);
+
+			expect(api.runtime).toBe("node");
+			expect(api).toHaveProperty("getCacheBackend");
+			expect(api).not.toHaveProperty("makeTemporaryIrony");
+		});
+	});
+});
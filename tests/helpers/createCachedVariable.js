@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+/**
+ *   Copyright (c) 2019 Ruby Allison Rose (aka: M3TIOR)
+ *
+ *   Permission is hereby granted, free of charge, to any person obtaining a copy
+ *   of this software and associated documentation files (the "Software"), to deal
+ *   in the Software without restriction, including without limitation the rights
+ *   to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ *   copies of the Software, and to permit persons to whom the Software is
+ *   furnished to do so, subject to the following conditions:
+ *
+ *   The above copyright notice and this permission notice shall be included in all
+ *   copies or substantial portions of the Software.
+ *
+ *   THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ *   IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ *   FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ *   AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ *   LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ *   OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ *   SOFTWARE.
+ */
+
+'use-strict';
+
+const { createCachedVariable } = require('../../src/index.js');
+const { ArgumentParser } = require('argparse');
+
+const parser = new ArgumentParser({addHelp: false});
+// Each run of this script is a separate process, so running it twice is a restart.
+parser.addArgument(["-n"], { nargs: "?", type: String }); // sets the variable name.
+parser.addArgument(["-d"], { nargs: "?", type: String }); // sets the data store.
+parser.addArgument(["-v"], { nargs: "?", type: String }); // sets a new JSON value.
+const args = parser.parseArgs();
+
+const scope = {};
+createCachedVariable(args.n, null, scope, { dataStore: args.d });
+
+if (args.v != null) scope[args.n] = JSON.parse(args.v);
+
+// The value is saved before the process exits on its own.
+process.stdout.write(JSON.stringify(scope[args.n]));